@@ -7,11 +7,18 @@ import {
 } from 'react-router-dom'
 
 import { Navbar } from './app/Navbar'
+import { LoginPage } from './features/auth/LoginPage'
+import { PrivateRoute } from './features/auth/PrivateRoute'
+import { DraftsList } from './features/drafts/DraftsList'
 import { NotificationsList } from './features/notifications/notificationsList'
 import { AddPostForm } from './features/posts/AddPostForm'
 import { EditPostForm } from './features/posts/EditPostForm'
+import { FollowingFeed } from './features/posts/FollowingFeed'
 import { PostsList } from './features/posts/PostsList'
 import { SinglePostPage } from './features/posts/SinglePostPage'
+import { SearchPage } from './features/search/SearchPage'
+import { TagPage } from './features/tags/TagPage'
+import { ToastArea } from './features/toasts/ToastArea'
 import { UserPage } from './features/users/UserPage'
 import { UsersList } from './features/users/usersList'
 
@@ -31,14 +38,24 @@ function App() {
               </React.Fragment>
             )}
           />
+          <PrivateRoute exact path="/following" component={FollowingFeed} />
+          <PrivateRoute exact path="/drafts" component={DraftsList} />
           <Route exact path="/posts/:postId" component={SinglePostPage} />
-          <Route exact path="/editPost/:postId" component={EditPostForm} />
+          <PrivateRoute
+            exact
+            path="/editPost/:postId"
+            component={EditPostForm}
+          />
           <Route exact path="/users" component={UsersList} />
           <Route exact path="/users/:userId" component={UserPage} />
           <Route exact path="/notifications" component={NotificationsList} />
+          <Route exact path="/login" component={LoginPage} />
+          <Route exact path="/search" component={SearchPage} />
+          <Route exact path="/tags/:tag?" component={TagPage} />
           <Redirect to="/" />
         </Switch>
       </div>
+      <ToastArea />
     </Router>
   )
 }
@@ -1,8 +1,240 @@
 // A tiny wrapper around fetch(), borrowed from
 // https://kentcdodds.com/blog/replace-axios-with-a-simple-custom-fetch-wrapper
 
-export async function client(endpoint, { body, ...customConfig } = {}) {
-  const headers = { 'Content-Type': 'application/json' }
+// The `code` values an ApiError can have. `network_error`, `timeout` and
+// `aborted` are set by client() itself, the rest come from the error envelope
+// the server sends.
+export const ApiErrorCodes = {
+  BAD_REQUEST: 'bad_request',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  VALIDATION_FAILED: 'validation_failed',
+  SERVER_ERROR: 'server_error',
+  NETWORK_ERROR: 'network_error',
+  TIMEOUT: 'timeout',
+  ABORTED: 'aborted',
+}
+
+/* The error that client() rejects with. `status` is the HTTP status (0 if we
+  never got a response), `code` is one of ApiErrorCodes, and `details` maps the
+  names of invalid request fields to what is wrong with them.
+
+  Error instances can't be put in the Redux store, so the API slice's base query
+  (`clientBaseQuery` in `apiSlice.js`) returns `serializeApiError(err)` as the
+  request's `error` instead of the error itself. */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code, details = {} } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      details: this.details,
+    }
+  }
+}
+
+// Pick an error code for a response that didn't include the error envelope
+const codeForStatus = (status) => {
+  switch (status) {
+    case 400:
+      return ApiErrorCodes.BAD_REQUEST
+    case 401:
+      return ApiErrorCodes.UNAUTHORIZED
+    case 403:
+      return ApiErrorCodes.FORBIDDEN
+    case 404:
+      return ApiErrorCodes.NOT_FOUND
+    case 409:
+      return ApiErrorCodes.CONFLICT
+    case 422:
+      return ApiErrorCodes.VALIDATION_FAILED
+    default:
+      return ApiErrorCodes.SERVER_ERROR
+  }
+}
+
+// Turn anything a request threw into the plain object form of an ApiError
+export function serializeApiError(err) {
+  if (err instanceof ApiError) {
+    return err.toJSON()
+  }
+  return new ApiError(err && err.message ? err.message : String(err), {
+    code: ApiErrorCodes.SERVER_ERROR,
+  }).toJSON()
+}
+
+// The session token of the logged in user, sent with every request
+let authToken = null
+
+// Called by the store whenever the session changes
+export function setAuthToken(token) {
+  authToken = token
+}
+
+// Requests that take longer than this are aborted, unless `timeout` is passed
+const DEFAULT_TIMEOUT_MS = 10000
+
+// Idempotent requests that fail with a network error, a timeout or a 5xx
+// response are retried this many times, waiting `retryDelay * 2^attempt` ms
+// between attempts. Both can be overridden per request.
+const DEFAULT_RETRIES = 2
+const DEFAULT_RETRY_DELAY_MS = 500
+
+// Sending these more than once has the same effect as sending them once
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+const isRetryable = (err) =>
+  err.code === ApiErrorCodes.NETWORK_ERROR ||
+  err.code === ApiErrorCodes.TIMEOUT ||
+  err.status >= 500
+
+// Resolves after `ms`, or rejects early if `signal` is aborted
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId)
+      reject(
+        new ApiError('The request was aborted', { code: ApiErrorCodes.ABORTED })
+      )
+    }
+    const timeoutId = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, ms)
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+  })
+
+// Read the response body based on what the server says it sent
+const readBody = async (response) => {
+  if (
+    response.status === 204 ||
+    response.headers.get('Content-Length') === '0'
+  ) {
+    return null
+  }
+  const contentType = response.headers.get('Content-Type') || ''
+  if (contentType.includes('application/json')) {
+    return response.json()
+  }
+  return response.text()
+}
+
+// Make a single attempt at a request, aborting it if it takes longer than
+// `timeout` or if the caller's `signal` is aborted
+async function sendRequest(endpoint, config, { signal, timeout }) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timeoutId = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const onAbort = () => controller.abort()
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort()
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+  }
+
+  try {
+    let response
+    try {
+      response = await window.fetch(endpoint, {
+        ...config,
+        signal: controller.signal,
+      })
+    } catch (err) {
+      if (timedOut) {
+        throw new ApiError(`The request took longer than ${timeout}ms`, {
+          code: ApiErrorCodes.TIMEOUT,
+        })
+      }
+      if (controller.signal.aborted) {
+        throw new ApiError('The request was aborted', {
+          code: ApiErrorCodes.ABORTED,
+        })
+      }
+      // fetch() only rejects if the request couldn't be made at all
+      throw new ApiError('Unable to reach the server', {
+        code: ApiErrorCodes.NETWORK_ERROR,
+      })
+    }
+
+    let data
+    try {
+      data = await readBody(response)
+    } catch (err) {
+      data = undefined
+    }
+
+    if (response.ok) {
+      // Return a result object similar to Axios
+      return {
+        status: response.status,
+        data,
+        headers: response.headers,
+        url: response.url,
+      }
+    }
+
+    const error = data && data.error
+    if (error) {
+      throw new ApiError(error.message, {
+        status: response.status,
+        code: error.code,
+        details: error.details,
+      })
+    }
+    throw new ApiError(response.statusText, {
+      status: response.status,
+      code: codeForStatus(response.status),
+    })
+  } finally {
+    clearTimeout(timeoutId)
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+}
+
+/* Besides the usual fetch() options, `customConfig` can include:
+
+  - signal: an AbortSignal that cancels the request, such as the `signal` that
+    RTK Query passes to `clientBaseQuery`
+  - timeout: how many ms to wait for a response before giving up
+  - retries, retryDelay: how often and how soon to retry an idempotent request
+    that failed for a reason that might go away on its own */
+export async function client(
+  endpoint,
+  {
+    body,
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY_MS,
+    ...customConfig
+  } = {}
+) {
+  // Only say we're sending JSON if there is a body to send
+  const headers = body ? { 'Content-Type': 'application/json' } : {}
+  if (authToken) {
+    headers.Authorization = `Bearer ${authToken}`
+  }
 
   const config = {
     method: body ? 'POST' : 'GET',
@@ -17,22 +249,19 @@ export async function client(endpoint, { body, ...customConfig } = {}) {
     config.body = JSON.stringify(body)
   }
 
-  let data
-  try {
-    const response = await window.fetch(endpoint, config)
-    data = await response.json()
-    if (response.ok) {
-      // Return a result object similar to Axios
-      return {
-        status: response.status,
-        data,
-        headers: response.headers,
-        url: response.url,
+  const maxRetries = IDEMPOTENT_METHODS.includes(config.method.toUpperCase())
+    ? retries
+    : 0
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(endpoint, config, { signal, timeout })
+    } catch (err) {
+      if (attempt >= maxRetries || !isRetryable(err)) {
+        throw err
       }
+      await wait(retryDelay * 2 ** attempt, signal)
     }
-    throw new Error(response.statusText)
-  } catch (err) {
-    return Promise.reject(err.message ? err.message : data)
   }
 }
 
@@ -41,5 +270,17 @@ client.get = function (endpoint, customConfig = {}) {
 }
 
 client.post = function (endpoint, body, customConfig = {}) {
-  return client(endpoint, { ...customConfig, body })
+  return client(endpoint, { ...customConfig, body, method: 'POST' })
+}
+
+client.put = function (endpoint, body, customConfig = {}) {
+  return client(endpoint, { ...customConfig, body, method: 'PUT' })
+}
+
+client.patch = function (endpoint, body, customConfig = {}) {
+  return client(endpoint, { ...customConfig, body, method: 'PATCH' })
+}
+
+client.delete = function (endpoint, customConfig = {}) {
+  return client(endpoint, { ...customConfig, method: 'DELETE' })
 }
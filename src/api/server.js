@@ -7,10 +7,25 @@ import { Server as MockSocketServer } from 'mock-socket'
 import { setRandom } from 'txtgen'
 
 import { parseISO } from 'date-fns'
+import {
+  cleanPost,
+  isValidPost,
+  normalizeTag,
+  validatePost,
+} from '../features/posts/postValidation'
+import { POST_SORTS } from '../features/posts/postsView'
+import { searchTerms } from '../features/search/searchTerms'
 
 const NUM_USERS = 3
 const POSTS_PER_USER = 3
+const MAX_COMMENTS_PER_POST = 3
+const DEFAULT_POSTS_PAGE_SIZE = 10
+// The seeded posts get some of these
+const SEED_TAGS = ['redux', 'react', 'javascript', 'testing', 'design', 'news']
 const RECENT_NOTIFICATIONS_DAYS = 7
+const MAX_STORED_NOTIFICATIONS = 100
+// How often other users "do something" that we get notified about
+const SIMULATED_ACTIVITY_INTERVAL_MS = 30000
 
 // Add an extra delay to all endpoints, so loading spinners show up.
 const ARTIFICIAL_DELAY_MS = 2000
@@ -53,6 +68,11 @@ const randomFromArray = (array) => {
   return array[index]
 }
 
+// The seeded data gets its IDs from the seeded RNG as well, so that users and
+// posts keep the same IDs across reloads. Otherwise, links to them and the
+// notifications we save in localStorage would stop working after a reload.
+const seededId = () => Math.floor(rng() * Number.MAX_SAFE_INTEGER).toString(36)
+
 /* MSW Data Model Setup */
 
 export const db = factory({
@@ -62,6 +82,11 @@ export const db = factory({
     lastName: String,
     name: String,
     username: String,
+    bio: String,
+    // The URL of the user's picture. Clients show initials if it's empty.
+    avatar: String,
+    location: String,
+    joinedDate: String,
     posts: manyOf('post'),
   },
   post: {
@@ -69,15 +94,20 @@ export const db = factory({
     title: String,
     date: String,
     content: String,
+    // Bumped on every edit, so that clients can detect conflicting changes
+    version: Number,
+    // Lowercase words like "redux" or "code-review", see `normalizeTag()`
+    tags: Array,
     reactions: oneOf('reaction'),
     comments: manyOf('comment'),
     user: oneOf('user'),
   },
   comment: {
-    id: primaryKey(String),
+    id: primaryKey(nanoid),
     date: String,
     text: String,
     post: oneOf('post'),
+    user: oneOf('user'),
   },
   reaction: {
     id: primaryKey(nanoid),
@@ -88,6 +118,29 @@ export const db = factory({
     eyes: Number,
     post: oneOf('post'),
   },
+  // `follower` follows `followee`
+  follow: {
+    id: primaryKey(nanoid),
+    follower: oneOf('user'),
+    followee: oneOf('user'),
+  },
+  notification: {
+    id: primaryKey(nanoid),
+    date: String,
+    // What happened: 'post', 'comment' or 'reaction'
+    type: String,
+    read: Boolean,
+    // The user who did it, if we know who that was
+    user: oneOf('user'),
+    // The post it happened to. These are plain values rather than a relation,
+    // because stored notifications can outlive posts created at runtime.
+    postId: String,
+    postTitle: String,
+    // The ID of the post's author, who is the one to tell about reactions
+    postAuthor: String,
+    // The reaction that was added, for 'reaction' notifications
+    reaction: String,
+  },
 })
 
 const createUserData = () => {
@@ -95,23 +148,43 @@ const createUserData = () => {
   const lastName = faker.name.lastName()
 
   return {
+    id: seededId(),
     firstName,
     lastName,
     name: `${firstName} ${lastName}`,
     username: faker.internet.userName(),
+    bio: faker.lorem.sentences(2),
+    avatar: faker.internet.avatar(),
+    location: `${faker.address.city()}, ${faker.address.country()}`,
+    // Everybody joined before they wrote their first post
+    joinedDate: faker.date
+      .past(2, faker.date.recent(RECENT_NOTIFICATIONS_DAYS * 2))
+      .toISOString(),
   }
 }
 
 const createPostData = (user) => {
   return {
+    id: seededId(),
     title: faker.lorem.words(),
     date: faker.date.recent(RECENT_NOTIFICATIONS_DAYS).toISOString(),
     user,
     content: faker.lorem.paragraphs(),
+    tags: SEED_TAGS.filter(() => rng() < 0.3),
     reactions: db.reaction.create(),
   }
 }
 
+const createCommentData = (post, user) => {
+  return {
+    id: seededId(),
+    date: faker.date.between(parseISO(post.date), new Date()).toISOString(),
+    text: faker.lorem.sentences(getRandomInt(1, 3)),
+    post,
+    user,
+  }
+}
+
 // Create an initial set of users and posts
 for (let i = 0; i < NUM_USERS; i++) {
   const author = db.user.create(createUserData())
@@ -122,48 +195,592 @@ for (let i = 0; i < NUM_USERS; i++) {
   }
 }
 
+// Then have the users comment on each other's posts
+const allUsers = db.user.getAll()
+db.post.getAll().forEach((post) => {
+  const numComments = getRandomInt(0, MAX_COMMENTS_PER_POST)
+  for (let i = 0; i < numComments; i++) {
+    db.comment.create(createCommentData(post, randomFromArray(allUsers)))
+  }
+})
+
+// Everybody starts out following one of the other users
+allUsers.forEach((user) => {
+  const others = allUsers.filter((other) => other.id !== user.id)
+  if (others.length) {
+    db.follow.create({ follower: user, followee: randomFromArray(others) })
+  }
+})
+
+const REACTION_NAMES = ['thumbsUp', 'hooray', 'heart', 'rocket', 'eyes']
+
+const findFollowsBy = (userId) =>
+  db.follow.findMany({ where: { follower: { id: { equals: userId } } } })
+
+const findFollowersOf = (userId) =>
+  db.follow.findMany({ where: { followee: { id: { equals: userId } } } })
+
+/* Post Sorting */
+
+const countReactions = (post) =>
+  REACTION_NAMES.reduce(
+    (sum, name) => sum + (post.reactions ? post.reactions[name] : 0),
+    0
+  )
+
+// What the posts can be sorted by. Cursors are made of these for the last post
+// on a page.
+const getPostSortKey = (post) => ({
+  date: post.date,
+  title: post.title,
+  reactionCount: countReactions(post),
+})
+
+// Ties are broken by date, newest first, so every sort has a stable order
+const postSortComparers = {
+  date: (a, b) => b.date.localeCompare(a.date),
+  reactions: (a, b) =>
+    b.reactionCount - a.reactionCount || b.date.localeCompare(a.date),
+  title: (a, b) =>
+    a.title.localeCompare(b.title) || b.date.localeCompare(a.date),
+}
+
+// Returns the sort key in a cursor, or `null` if it isn't one of ours
+const parsePostsCursor = (cursor) => {
+  try {
+    const key = JSON.parse(cursor)
+    const isValid =
+      isPlainObject(key) &&
+      typeof key.date === 'string' &&
+      !Number.isNaN(Date.parse(key.date)) &&
+      typeof key.title === 'string' &&
+      Number.isInteger(key.reactionCount)
+    return isValid ? key : null
+  } catch (err) {
+    return null
+  }
+}
+
+const isDateParam = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+
+const findCommentsForPost = (postId) =>
+  db.comment.findMany({ where: { post: { id: { equals: postId } } } })
+
 const serializePost = (post) => ({
   ...post,
   user: post.user.id,
+  commentCount: db.comment.count({
+    where: { post: { id: { equals: post.id } } },
+  }),
+})
+
+/* Users are sent without their `posts` relation, which would embed every post 
+  they wrote. Instead, we include a few stats about those posts, and who they 
+  follow, so that clients can tell whether the current user follows someone. */
+const serializeUser = (user) => {
+  const { posts, ...rest } = user
+  const userPosts = db.post.findMany({
+    where: { user: { id: { equals: user.id } } },
+  })
+  const reactionCount = userPosts.reduce(
+    (total, post) => total + countReactions(post),
+    0
+  )
+
+  const followingIds = findFollowsBy(user.id).map(
+    (follow) => follow.followee.id
+  )
+
+  return {
+    ...rest,
+    postCount: userPosts.length,
+    reactionCount,
+    followingIds,
+    followingCount: followingIds.length,
+    followerCount: findFollowersOf(user.id).length,
+  }
+}
+
+const serializeComment = (comment) => ({
+  ...comment,
+  post: comment.post.id,
+  user: comment.user ? comment.user.id : null,
+})
+
+const serializeNotification = (notification) => ({
+  ...notification,
+  user: notification.user ? notification.user.id : null,
 })
 
+/* Error Responses */
+
+// Every handler reports errors in the same envelope:
+// `{error: {status, code, message, details}}`, where `details` maps the names
+// of invalid request fields to what is wrong with them.
+const errorResponse = (res, ctx, status, code, message, details = {}) =>
+  res(
+    ctx.delay(ARTIFICIAL_DELAY_MS),
+    ctx.status(status),
+    ctx.json({ error: { status, code, message, details } })
+  )
+
+const unauthorized = (res, ctx) =>
+  errorResponse(res, ctx, 401, 'unauthorized', 'You need to log in first')
+
+const forbidden = (res, ctx, message) =>
+  errorResponse(res, ctx, 403, 'forbidden', message)
+
+const badRequest = (res, ctx, message, details) =>
+  errorResponse(res, ctx, 400, 'bad_request', message, details)
+
+const notFound = (res, ctx, type, id) =>
+  errorResponse(res, ctx, 404, 'not_found', `No ${type} with the ID "${id}"`)
+
+const conflict = (res, ctx, message, details) =>
+  errorResponse(res, ctx, 409, 'conflict', message, details)
+
+const validationFailed = (res, ctx, details) =>
+  errorResponse(
+    res,
+    ctx,
+    422,
+    'validation_failed',
+    'Some fields are invalid',
+    details
+  )
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Returns the errors for any of `fields` that aren't non-empty strings. With
+// `partial`, fields that are missing from `data` are allowed.
+const checkTextFields = (data, fields, { partial = false } = {}) => {
+  const errors = {}
+  fields.forEach((field) => {
+    if (partial && !(field in data)) {
+      return
+    }
+    const value = data[field]
+    if (typeof value !== 'string' || !value.trim()) {
+      errors[field] = `The ${field} can't be empty`
+    }
+  })
+  return errors
+}
+
+// The parts of a user's profile they can change themselves
+const PROFILE_FIELDS = ['name', 'bio', 'avatar', 'location']
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'http:' || url.protocol === 'https:'
+  } catch (err) {
+    return false
+  }
+}
+
+// Every tag in use, with how many posts have it, most used first
+const countTags = () => {
+  const counts = {}
+  db.post.getAll().forEach((post) => {
+    for (const tag of post.tags || []) {
+      counts[tag] = (counts[tag] || 0) + 1
+    }
+  })
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
+
+const findPost = (postId) =>
+  db.post.findFirst({ where: { id: { equals: postId } } })
+
+const findUser = (userId) =>
+  db.user.findFirst({ where: { id: { equals: userId } } })
+
+const findComment = (commentId) =>
+  db.comment.findFirst({ where: { id: { equals: commentId } } })
+
+/* Notifications Storage */
+
+/* Unlike the rest of the data, which is seeded again on every page load, 
+  notifications are saved to localStorage, so that whether they've been read 
+  survives a reload. This works because seeded users keep their IDs. */
+const NOTIFICATIONS_STORAGE_KEY = 'fakeApiNotifications'
+
+const findNotification = (notificationId) =>
+  db.notification.findFirst({ where: { id: { equals: notificationId } } })
+
+// Returns the notifications newer than `since`, newest first
+const findNotificationsSince = (since) =>
+  db.notification
+    .getAll()
+    .filter((notification) => !since || notification.date > since)
+    .sort((a, b) => b.date.localeCompare(a.date))
+
+const saveNotifications = () => {
+  const notifications = findNotificationsSince()
+    .slice(0, MAX_STORED_NOTIFICATIONS)
+    .map(serializeNotification)
+  localStorage.setItem(NOTIFICATIONS_STORAGE_KEY, JSON.stringify(notifications))
+}
+
+const loadNotifications = () => {
+  let notifications = []
+  try {
+    notifications =
+      JSON.parse(localStorage.getItem(NOTIFICATIONS_STORAGE_KEY)) || []
+  } catch (err) {
+    // Start over if what we saved can't be read
+  }
+
+  notifications.forEach((notification) => {
+    // Skip anything saved before notifications had a type
+    if (!notification.type) {
+      return
+    }
+    const { user: userId, ...data } = notification
+    const user = findUser(userId)
+    db.notification.create(user ? { ...data, user } : data)
+  })
+}
+
+loadNotifications()
+
+/* Sessions */
+
+/* Logging in creates a session token, which the client sends back in the 
+  `Authorization: Bearer <token>` header. Like notifications, sessions are saved 
+  to localStorage so that they outlive a reload. */
+const SESSIONS_STORAGE_KEY = 'fakeApiSessions'
+
+const loadSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSIONS_STORAGE_KEY)) || {}
+  } catch (err) {
+    return {}
+  }
+}
+
+// Maps session tokens to user IDs
+const sessions = loadSessions()
+
+const saveSessions = () => {
+  localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(sessions))
+}
+
+const getSessionToken = (req) => {
+  const header = req.headers.get('Authorization') || ''
+  const [scheme, token] = header.split(' ')
+  return scheme === 'Bearer' ? token : null
+}
+
+// Returns the logged in user for a request, or null if there isn't one
+const getSessionUser = (req) => {
+  const token = getSessionToken(req)
+  return token && sessions[token] ? findUser(sessions[token]) : null
+}
+
+/* Activity */
+
+/* These create data on behalf of a user, and notify the client about it. Both 
+  the request handlers and the simulated activity of other users go through 
+  them, so that every notification comes from something that really happened. */
+
+const createNotification = (type, post, { user, reaction } = {}) => {
+  const data = {
+    date: new Date().toISOString(),
+    type,
+    postId: post.id,
+    postTitle: post.title,
+    postAuthor: post.user.id,
+  }
+  if (user) {
+    data.user = user
+  }
+  if (reaction) {
+    data.reaction = reaction
+  }
+
+  const notification = db.notification.create(data)
+  saveNotifications()
+  pushNotifications([notification])
+  return notification
+}
+
+const createPost = ({ title, content, tags = [], user }) => {
+  const post = db.post.create({
+    title,
+    content,
+    tags,
+    date: new Date().toISOString(),
+    user,
+    reactions: db.reaction.create(),
+  })
+  createNotification('post', post, { user })
+  return post
+}
+
+const createComment = (post, { text, user }) => {
+  const comment = db.comment.create({
+    date: new Date().toISOString(),
+    text,
+    post,
+    user,
+  })
+  createNotification('comment', post, { user })
+  return comment
+}
+
+// Reactions from a client without a session don't say who clicked, so their
+// notifications don't have a user
+const addReaction = (post, reaction, count, user) => {
+  db.reaction.update({
+    where: { id: { equals: post.reactions.id } },
+    data: { [reaction]: post.reactions[reaction] + count },
+  })
+  createNotification('reaction', post, { user, reaction })
+  return findPost(post.id)
+}
+
+/* Nobody needs to be notified about what they did themselves, and reactions 
+  only concern the author of the post they were added to. */
+const isNotificationFor = (notification, user) => {
+  if (notification.type === 'reaction') {
+    return Boolean(user) && notification.postAuthor === user.id
+  }
+  return !user || !notification.user || notification.user.id !== user.id
+}
+
+/* Search */
+
+const MAX_SEARCH_RESULTS = 20
+
+// Matches in a post's title count for more than matches in its content
+const SEARCH_WEIGHTS = {
+  title: 3,
+  content: 1,
+  name: 3,
+  username: 2,
+}
+
+const countOccurrences = (text, term) => {
+  let count = 0
+  let index = text.indexOf(term)
+  while (index !== -1) {
+    count++
+    index = text.indexOf(term, index + term.length)
+  }
+  return count
+}
+
+/* Scores a record by how often the terms show up in each of `fields`, times the 
+  field's weight. Every term has to show up in at least one of the fields, 
+  otherwise the record doesn't match at all and the score is 0. */
+const scoreRecord = (record, fields, terms) => {
+  let score = 0
+  for (const term of terms) {
+    let termScore = 0
+    fields.forEach((field) => {
+      const text = (record[field] || '').toLowerCase()
+      termScore += countOccurrences(text, term) * SEARCH_WEIGHTS[field]
+    })
+    if (!termScore) {
+      return 0
+    }
+    score += termScore
+  }
+  return score
+}
+
+// Returns the best matching records, highest score first
+const rankRecords = (records, fields, terms, tiebreaker) =>
+  records
+    .map((record) => ({ record, score: scoreRecord(record, fields, terms) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score || tiebreaker(a.record, b.record))
+    .slice(0, MAX_SEARCH_RESULTS)
+
 /* MSW REST API Handlers */
 
 export const handlers = [
   rest.get('/fakeApi/posts', function (req, res, ctx) {
-    const posts = db.post.getAll().map(serializePost)
-    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(posts))
+    /* Posts are paged in the order of `sort`, newest first by default. The 
+      cursor is what the posts are sorted by for the last post on the previous 
+      page, so the next page starts right after it, even if posts were added 
+      in the meantime. */
+    const params = req.url.searchParams
+    const sort = params.get('sort') || 'date'
+    const from = params.get('from')
+    const to = params.get('to')
+    const cursorParam = params.get('cursor')
+    const limitParam = params.get('limit')
+    const limit = limitParam ? Number(limitParam) : DEFAULT_POSTS_PAGE_SIZE
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return badRequest(res, ctx, 'The limit must be a positive integer', {
+        limit: `"${limitParam}" is not a positive integer`,
+      })
+    }
+    if (!Object.prototype.hasOwnProperty.call(POST_SORTS, sort)) {
+      return badRequest(res, ctx, 'Unknown sort', {
+        sort: `The sort must be one of ${Object.keys(POST_SORTS).join(', ')}`,
+      })
+    }
+    const dateErrors = {}
+    Object.entries({ from, to }).forEach(([name, value]) => {
+      if (value && !isDateParam(value)) {
+        dateErrors[name] = `"${value}" is not a date in the yyyy-MM-dd form`
+      }
+    })
+    if (Object.keys(dateErrors).length) {
+      return badRequest(res, ctx, 'The dates are not valid', dateErrors)
+    }
+    const cursor = cursorParam && parsePostsCursor(cursorParam)
+    if (cursorParam && !cursor) {
+      return badRequest(res, ctx, 'The cursor is not valid', {
+        cursor: `"${cursorParam}" is not a cursor returned by this API`,
+      })
+    }
+
+    let posts = db.post.getAll()
+    // Only list the posts by one user, with `author=<userId>`
+    const author = params.get('author')
+    if (author) {
+      posts = posts.filter((post) => post.user.id === author)
+    }
+    // Or by the users someone follows, with `followedBy=<userId>`
+    const followedBy = params.get('followedBy')
+    if (followedBy) {
+      const followeeIds = findFollowsBy(followedBy).map(
+        (follow) => follow.followee.id
+      )
+      posts = posts.filter((post) => followeeIds.includes(post.user.id))
+    }
+    // Or the posts with a tag, with `tag=<tag>`
+    const tag = params.get('tag')
+    if (tag) {
+      posts = posts.filter((post) => post.tags.includes(normalizeTag(tag)))
+    }
+    // The dates are days in the client's time zone, and `to` includes that
+    // whole day
+    if (from) {
+      const fromDate = new Date(`${from}T00:00:00`).toISOString()
+      posts = posts.filter((post) => post.date >= fromDate)
+    }
+    if (to) {
+      const toDate = new Date(`${to}T23:59:59.999`).toISOString()
+      posts = posts.filter((post) => post.date <= toDate)
+    }
+
+    const compare = postSortComparers[sort]
+    let sortKeys = posts
+      .map((post) => ({ post, key: getPostSortKey(post) }))
+      .sort((a, b) => compare(a.key, b.key))
+    if (cursor) {
+      sortKeys = sortKeys.filter(({ key }) => compare(key, cursor) > 0)
+    }
+
+    const page = sortKeys.slice(0, limit)
+    const nextCursor =
+      sortKeys.length > limit ? JSON.stringify(page[page.length - 1].key) : null
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json({
+        posts: page.map(({ post }) => serializePost(post)),
+        nextCursor,
+      })
+    )
   }),
   rest.post('/fakeApi/posts', function (req, res, ctx) {
     const data = req.body
+    if (!isPlainObject(data)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
 
+    // Saving a post with the content "error" fails, for trying out error handling
     if (data.content === 'error') {
-      return res(
-        ctx.delay(ARTIFICIAL_DELAY_MS),
-        ctx.status(500),
-        ctx.json('Server error saving this post!')
+      return errorResponse(
+        res,
+        ctx,
+        500,
+        'server_error',
+        'Server error saving this post!'
       )
     }
 
-    data.date = new Date().toISOString()
+    // Posts are always written by the logged in user
+    const user = getSessionUser(req)
+    if (!user) {
+      return unauthorized(res, ctx)
+    }
 
-    const user = db.user.findFirst({ where: { id: { equals: data.user } } })
-    data.user = user
-    data.reactions = db.reaction.create()
+    // The same rules the post forms check, from `postValidation.js`
+    const newPost = {
+      title: data.title,
+      content: data.content,
+      tags: data.tags === undefined ? [] : data.tags,
+      user: user.id,
+    }
+    const errors = validatePost(newPost, {
+      userExists: (userId) => Boolean(findUser(userId)),
+    })
+    if (!isValidPost(errors)) {
+      return validationFailed(res, ctx, errors)
+    }
 
-    const post = db.post.create(data)
+    const post = createPost({ ...cleanPost(newPost), user })
     return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(serializePost(post)))
   }),
   rest.get('/fakeApi/posts/:postId', function (req, res, ctx) {
-    const post = db.post.findFirst({
-      where: { id: { equals: req.params.postId } },
-    })
+    const post = findPost(req.params.postId)
+    if (!post) {
+      return notFound(res, ctx, 'post', req.params.postId)
+    }
     return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(serializePost(post)))
   }),
   rest.patch('/fakeApi/posts/:postId', (req, res, ctx) => {
-    const { id, ...data } = req.body
+    const postId = req.params.postId
+    if (!isPlainObject(req.body)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
+
+    const user = getSessionUser(req)
+    if (!user) {
+      return unauthorized(res, ctx)
+    }
+
+    const post = findPost(postId)
+    if (!post) {
+      return notFound(res, ctx, 'post', postId)
+    }
+    if (post.user.id !== user.id) {
+      return forbidden(res, ctx, 'Only the author can edit this post')
+    }
+
+    /* Each edit bumps the post's version. Clients can send the version they 
+      started editing from, and if someone else has saved the post since then 
+      we refuse to overwrite their changes. */
+    const { version, title, content, tags } = req.body
+    if (version !== undefined && version !== post.version) {
+      return conflict(res, ctx, 'This post has been changed by someone else', {
+        version: `Expected version ${post.version}, got ${version}`,
+      })
+    }
+
+    const changes = { title, content, tags }
+    const errors = validatePost(changes, { partial: true })
+    if (!isValidPost(errors)) {
+      return validationFailed(res, ctx, errors)
+    }
+
+    const data = { ...cleanPost(changes), version: post.version + 1 }
+
     const updatedPost = db.post.update({
-      where: { id: { equals: req.params.postId } },
+      where: { id: { equals: postId } },
       data,
     })
     return res(
@@ -172,32 +789,147 @@ export const handlers = [
     )
   }),
 
+  rest.delete('/fakeApi/posts/:postId', (req, res, ctx) => {
+    const postId = req.params.postId
+    const user = getSessionUser(req)
+    if (!user) {
+      return unauthorized(res, ctx)
+    }
+
+    const post = findPost(postId)
+    if (!post) {
+      return notFound(res, ctx, 'post', postId)
+    }
+    if (post.user.id !== user.id) {
+      return forbidden(res, ctx, 'Only the author can delete this post')
+    }
+
+    // Clean up the records that belong to the post along with it
+    db.comment.deleteMany({ where: { post: { id: { equals: postId } } } })
+    db.reaction.delete({ where: { id: { equals: post.reactions.id } } })
+    db.post.delete({ where: { id: { equals: postId } } })
+
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.status(204))
+  }),
+
   rest.get('/fakeApi/posts/:postId/comments', (req, res, ctx) => {
-    const post = db.post.findFirst({
-      where: { id: { equals: req.params.postId } },
+    const postId = req.params.postId
+    if (!findPost(postId)) {
+      return notFound(res, ctx, 'post', postId)
+    }
+
+    const comments = findCommentsForPost(postId).map(serializeComment)
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json({ comments }))
+  }),
+  rest.post('/fakeApi/posts/:postId/comments', (req, res, ctx) => {
+    const postId = req.params.postId
+    if (!isPlainObject(req.body)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
+
+    const post = findPost(postId)
+    if (!post) {
+      return notFound(res, ctx, 'post', postId)
+    }
+
+    const user = getSessionUser(req)
+    if (!user) {
+      return unauthorized(res, ctx)
+    }
+
+    const errors = checkTextFields(req.body, ['text'])
+    if (Object.keys(errors).length) {
+      return validationFailed(res, ctx, errors)
+    }
+
+    const comment = createComment(post, { text: req.body.text, user })
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json(serializeComment(comment))
+    )
+  }),
+  rest.patch('/fakeApi/comments/:commentId', (req, res, ctx) => {
+    const commentId = req.params.commentId
+    if (!isPlainObject(req.body)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
+
+    const user = getSessionUser(req)
+    if (!user) {
+      return unauthorized(res, ctx)
+    }
+
+    const comment = findComment(commentId)
+    if (!comment) {
+      return notFound(res, ctx, 'comment', commentId)
+    }
+    if (!comment.user || comment.user.id !== user.id) {
+      return forbidden(res, ctx, 'Only the author can edit this comment')
+    }
+
+    const errors = checkTextFields(req.body, ['text'])
+    if (Object.keys(errors).length) {
+      return validationFailed(res, ctx, errors)
+    }
+
+    const updatedComment = db.comment.update({
+      where: { id: { equals: commentId } },
+      data: { text: req.body.text },
     })
     return res(
       ctx.delay(ARTIFICIAL_DELAY_MS),
-      ctx.json({ comments: post.comments })
+      ctx.json(serializeComment(updatedComment))
+    )
+  }),
+  rest.delete('/fakeApi/comments/:commentId', (req, res, ctx) => {
+    const commentId = req.params.commentId
+    const user = getSessionUser(req)
+    if (!user) {
+      return unauthorized(res, ctx)
+    }
+
+    const comment = findComment(commentId)
+    if (!comment) {
+      return notFound(res, ctx, 'comment', commentId)
+    }
+    if (!comment.user || comment.user.id !== user.id) {
+      return forbidden(res, ctx, 'Only the author can delete this comment')
+    }
+
+    const deletedComment = db.comment.delete({
+      where: { id: { equals: commentId } },
+    })
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json(serializeComment(deletedComment))
     )
   }),
 
   rest.post('/fakeApi/posts/:postId/reactions', (req, res, ctx) => {
     const postId = req.params.postId
-    const reaction = req.body.reaction
-    const post = db.post.findFirst({
-      where: { id: { equals: postId } },
-    })
+    if (!isPlainObject(req.body)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
 
-    const updatedPost = db.post.update({
-      where: { id: { equals: postId } },
-      data: {
-        reactions: {
-          ...post.reactions,
-          [reaction]: (post.reactions[reaction] += 1),
-        },
-      },
-    })
+    // Clients may batch several clicks on the same reaction into one request
+    const { reaction, count = 1 } = req.body
+    if (!REACTION_NAMES.includes(reaction)) {
+      return badRequest(res, ctx, 'Unknown reaction', {
+        reaction: `The reaction must be one of ${REACTION_NAMES.join(', ')}`,
+      })
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      return badRequest(res, ctx, 'The count must be a positive integer', {
+        count: `${count} is not a positive integer`,
+      })
+    }
+
+    const post = findPost(postId)
+    if (!post) {
+      return notFound(res, ctx, 'post', postId)
+    }
+
+    const updatedPost = addReaction(post, reaction, count, getSessionUser(req))
 
     return res(
       ctx.delay(ARTIFICIAL_DELAY_MS),
@@ -205,18 +937,268 @@ export const handlers = [
     )
   }),
   rest.get('/fakeApi/notifications', (req, res, ctx) => {
-    const numNotifications = getRandomInt(1, 5)
+    const since = req.url.searchParams.get('since')
+    if (since && Number.isNaN(Date.parse(since))) {
+      return badRequest(res, ctx, 'The since parameter must be a date', {
+        since: `"${since}" is not a date`,
+      })
+    }
 
-    let notifications = generateRandomNotifications(
-      undefined,
-      numNotifications,
-      db
+    const user = getSessionUser(req)
+    const notifications = findNotificationsSince(since)
+      .filter((notification) => isNotificationFor(notification, user))
+      .map(serializeNotification)
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(notifications))
+  }),
+  rest.patch('/fakeApi/notifications/:notificationId', (req, res, ctx) => {
+    const notificationId = req.params.notificationId
+    if (!isPlainObject(req.body) || typeof req.body.read !== 'boolean') {
+      return badRequest(
+        res,
+        ctx,
+        'The request must say whether to mark the notification read',
+        {
+          read: 'The read field must be true or false',
+        }
+      )
+    }
+
+    if (!findNotification(notificationId)) {
+      return notFound(res, ctx, 'notification', notificationId)
+    }
+
+    const updatedNotification = db.notification.update({
+      where: { id: { equals: notificationId } },
+      data: { read: req.body.read },
+    })
+    saveNotifications()
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json(serializeNotification(updatedNotification))
     )
+  }),
+  rest.delete('/fakeApi/notifications/:notificationId', (req, res, ctx) => {
+    const notificationId = req.params.notificationId
+    if (!findNotification(notificationId)) {
+      return notFound(res, ctx, 'notification', notificationId)
+    }
 
-    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(notifications))
+    db.notification.delete({ where: { id: { equals: notificationId } } })
+    saveNotifications()
+
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.status(204))
+  }),
+  // Marks the notifications with the given `ids` read, or all of them if no
+  // IDs are given
+  rest.post('/fakeApi/notifications/read', (req, res, ctx) => {
+    const ids = isPlainObject(req.body) ? req.body.ids : undefined
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return badRequest(res, ctx, 'The ids must be an array', {
+        ids: 'The ids field must be an array of notification IDs',
+      })
+    }
+
+    const notifications = db.notification
+      .getAll()
+      .filter((notification) => !ids || ids.includes(notification.id))
+
+    const updatedNotifications = notifications.map((notification) =>
+      db.notification.update({
+        where: { id: { equals: notification.id } },
+        data: { read: true },
+      })
+    )
+    saveNotifications()
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json(updatedNotifications.map(serializeNotification))
+    )
+  }),
+  rest.post('/fakeApi/login', (req, res, ctx) => {
+    if (!isPlainObject(req.body)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
+
+    const user = db.user.findFirst({
+      where: { username: { equals: req.body.username } },
+    })
+    if (!user) {
+      return validationFailed(res, ctx, {
+        username: 'There is no user with that username',
+      })
+    }
+
+    const token = nanoid()
+    sessions[token] = user.id
+    saveSessions()
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json({ token, user: serializeUser(user) })
+    )
+  }),
+  rest.post('/fakeApi/logout', (req, res, ctx) => {
+    const token = getSessionToken(req)
+    if (token) {
+      delete sessions[token]
+      saveSessions()
+    }
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.status(204))
+  }),
+  rest.get('/fakeApi/tags', (req, res, ctx) => {
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(countTags()))
+  }),
+  rest.get('/fakeApi/search', (req, res, ctx) => {
+    const query = req.url.searchParams.get('q') || ''
+    const terms = searchTerms(query)
+    if (!terms.length) {
+      return badRequest(res, ctx, "The search query can't be empty", {
+        q: 'Enter something to search for',
+      })
+    }
+
+    // Newer posts come first when they match equally well
+    const posts = rankRecords(
+      db.post.getAll(),
+      ['title', 'content'],
+      terms,
+      (a, b) => b.date.localeCompare(a.date)
+    )
+    const users = rankRecords(
+      db.user.getAll(),
+      ['name', 'username'],
+      terms,
+      (a, b) => a.name.localeCompare(b.name)
+    )
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json({
+        query,
+        posts: posts.map(({ record, score }) => ({
+          ...serializePost(record),
+          score,
+        })),
+        users: users.map(({ record, score }) => ({
+          ...serializeUser(record),
+          score,
+        })),
+      })
+    )
   }),
   rest.get('/fakeApi/users', (req, res, ctx) => {
-    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(db.user.getAll()))
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json(db.user.getAll().map(serializeUser))
+    )
+  }),
+  rest.get('/fakeApi/users/:userId', (req, res, ctx) => {
+    const userId = req.params.userId
+    const user = findUser(userId)
+    if (!user) {
+      return notFound(res, ctx, 'user', userId)
+    }
+    return res(ctx.delay(ARTIFICIAL_DELAY_MS), ctx.json(serializeUser(user)))
+  }),
+  /* Following someone changes the counts of both users, so these respond with 
+  both of them: the current user first, then the one they (un)followed. */
+  rest.post('/fakeApi/users/:userId/follow', (req, res, ctx) => {
+    const userId = req.params.userId
+    const sessionUser = getSessionUser(req)
+    if (!sessionUser) {
+      return unauthorized(res, ctx)
+    }
+    const followee = findUser(userId)
+    if (!followee) {
+      return notFound(res, ctx, 'user', userId)
+    }
+    if (followee.id === sessionUser.id) {
+      return badRequest(res, ctx, "You can't follow yourself")
+    }
+
+    // Following someone twice is the same as following them once
+    const isFollowing = findFollowsBy(sessionUser.id).some(
+      (follow) => follow.followee.id === userId
+    )
+    if (!isFollowing) {
+      db.follow.create({ follower: sessionUser, followee })
+    }
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json([serializeUser(sessionUser), serializeUser(followee)])
+    )
+  }),
+  rest.delete('/fakeApi/users/:userId/follow', (req, res, ctx) => {
+    const userId = req.params.userId
+    const sessionUser = getSessionUser(req)
+    if (!sessionUser) {
+      return unauthorized(res, ctx)
+    }
+    const followee = findUser(userId)
+    if (!followee) {
+      return notFound(res, ctx, 'user', userId)
+    }
+
+    findFollowsBy(sessionUser.id)
+      .filter((follow) => follow.followee.id === userId)
+      .forEach((follow) => {
+        db.follow.delete({ where: { id: { equals: follow.id } } })
+      })
+
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json([serializeUser(sessionUser), serializeUser(followee)])
+    )
+  }),
+  rest.patch('/fakeApi/users/:userId', (req, res, ctx) => {
+    const userId = req.params.userId
+    if (!isPlainObject(req.body)) {
+      return badRequest(res, ctx, 'The request body must be a JSON object')
+    }
+
+    const sessionUser = getSessionUser(req)
+    if (!sessionUser) {
+      return unauthorized(res, ctx)
+    }
+    if (!findUser(userId)) {
+      return notFound(res, ctx, 'user', userId)
+    }
+    if (sessionUser.id !== userId) {
+      return forbidden(res, ctx, 'You can only edit your own profile')
+    }
+
+    // The name is required, but the rest of the profile may be left blank
+    const errors = checkTextFields(req.body, ['name'], { partial: true })
+    const data = {}
+    PROFILE_FIELDS.forEach((field) => {
+      const value = req.body[field]
+      if (value === undefined) {
+        return
+      }
+      if (typeof value !== 'string') {
+        errors[field] = errors[field] || `The ${field} must be a string`
+        return
+      }
+      data[field] = value.trim()
+    })
+    if (data.avatar && !isHttpUrl(data.avatar)) {
+      errors.avatar = 'The avatar must be an http(s) URL'
+    }
+    if (Object.keys(errors).length) {
+      return validationFailed(res, ctx, errors)
+    }
+
+    const updatedUser = db.user.update({
+      where: { id: { equals: userId } },
+      data,
+    })
+    return res(
+      ctx.delay(ARTIFICIAL_DELAY_MS),
+      ctx.json(serializeUser(updatedUser))
+    )
   }),
 ]
 
@@ -233,18 +1215,19 @@ const sendMessage = (socket, obj) => {
   socket.send(JSON.stringify(obj))
 }
 
-// Allow our UI to fake the server pushing out some notifications over the websocket,
-// as if other users were interacting with the system.
-const sendRandomNotifications = (socket, since) => {
-  const numNotifications = getRandomInt(1, 5)
-
-  const notifications = generateRandomNotifications(since, numNotifications, db)
-
-  sendMessage(socket, { type: 'notifications', payload: notifications })
+const sendNotifications = (socket, notifications) => {
+  sendMessage(socket, {
+    type: 'notifications',
+    payload: notifications.map(serializeNotification),
+  })
 }
 
-export const forceGenerateNotifications = (since) => {
-  sendRandomNotifications(currentSocket, since)
+// Push new notifications to the client as soon as they're created. If it has
+// disconnected, it will ask for what it missed when it reconnects.
+function pushNotifications(notifications) {
+  if (currentSocket && currentSocket.readyState === WebSocket.OPEN) {
+    sendNotifications(currentSocket, notifications)
+  }
 }
 
 socketServer.on('connection', (socket) => {
@@ -255,8 +1238,9 @@ socketServer.on('connection', (socket) => {
 
     switch (message.type) {
       case 'notifications': {
+        // Send the client whatever it missed since its latest notification
         const since = message.payload
-        sendRandomNotifications(socket, since)
+        sendNotifications(socket, findNotificationsSince(since))
         break
       }
       default:
@@ -265,38 +1249,27 @@ socketServer.on('connection', (socket) => {
   })
 })
 
-/* Random Notifications Generation */
-
-const notificationTemplates = [
-  'poked you',
-  'says hi!',
-  `is glad we're friends`,
-  'sent you a gift',
-]
+/* Simulated Activity */
 
-function generateRandomNotifications(since, numNotifications, db) {
-  const now = new Date()
-  let pastDate
+// Have a random user comment on or react to a random post, as if other
+// people were using the app at the same time
+const simulateActivity = () => {
+  const user = randomFromArray(db.user.getAll())
+  const post = randomFromArray(db.post.getAll())
+  if (!user || !post) {
+    return
+  }
 
-  if (since) {
-    pastDate = parseISO(since)
+  if (rng() < 0.5) {
+    createComment(post, { text: faker.lorem.sentence(), user })
   } else {
-    pastDate = new Date(now.valueOf())
-    pastDate.setMinutes(pastDate.getMinutes() - 15)
+    addReaction(post, randomFromArray(REACTION_NAMES), 1, user)
   }
+}
 
-  // Create N random notifications. We won't bother saving these
-  // in the DB - just generate a new batch and return them.
-  const notifications = [...Array(numNotifications)].map(() => {
-    const user = randomFromArray(db.user.getAll())
-    const template = randomFromArray(notificationTemplates)
-    return {
-      id: nanoid(),
-      date: faker.date.between(pastDate, now).toISOString(),
-      message: template,
-      user: user.id,
-    }
-  })
-
-  return notifications
+// Allow our UI to fake other users interacting with the system on demand
+export const forceGenerateNotifications = () => {
+  simulateActivity()
 }
+
+setInterval(simulateActivity, SIMULATED_ACTIVITY_INTERVAL_MS)
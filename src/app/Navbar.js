@@ -1,15 +1,43 @@
 import React from 'react'
-import { useDispatch, useSelector } from 'react-redux'
+import { useSelector } from 'react-redux'
 import { Link } from 'react-router-dom'
 import {
-  fetchNotifications,
-  selectAllNotifications,
+  selectCurrentUserId,
+  selectIsLoggedIn,
+  useLogoutMutation,
+} from '../features/auth/authSlice'
+import { selectDraftsByUser } from '../features/drafts/draftsSlice'
+import {
+  selectNotificationsSocketStatus,
+  selectUnreadNotifications,
+  useGetNotificationsQuery,
 } from '../features/notifications/notificationsSlice'
+import {
+  selectIsOnline,
+  selectOutboxForUser,
+} from '../features/offline/offlineSlice'
+import { SearchBox } from '../features/search/SearchBox'
+import { selectCurrentUser } from '../features/users/usersSlice'
+
+const socketStatusLabels = {
+  connected: 'Live',
+  connecting: 'Connecting...',
+  disconnected: 'Offline',
+}
 
 export const Navbar = () => {
-  const dispatch = useDispatch()
-  const notifications = useSelector(selectAllNotifications)
-  const numUnreadNotifications = notifications.filter((n) => !n.read).length
+  // The navbar is always shown, so this keeps the notifications loaded
+  const { refetch: refetchNotifications } = useGetNotificationsQuery()
+  const [logout] = useLogoutMutation()
+  const unreadNotifications = useSelector(selectUnreadNotifications)
+  const socketStatus = useSelector(selectNotificationsSocketStatus)
+  const isLoggedIn = useSelector(selectIsLoggedIn)
+  const currentUser = useSelector(selectCurrentUser)
+  const currentUserId = useSelector(selectCurrentUserId)
+  const drafts = useSelector(selectDraftsByUser(currentUserId))
+  const isOnline = useSelector(selectIsOnline)
+  const pendingChanges = useSelector(selectOutboxForUser(currentUserId))
+  const numUnreadNotifications = unreadNotifications.length
 
   let unreadNotificationsBadge
 
@@ -19,27 +47,87 @@ export const Navbar = () => {
     )
   }
 
-  const fetchNewNotifications = () => {
-    dispatch(fetchNotifications())
+  const onLogoutClicked = () => {
+    logout()
+  }
+
+  let sessionContent
+  if (isLoggedIn) {
+    sessionContent = (
+      <span className="session">
+        Logged in as{' '}
+        {currentUser ? (
+          <Link to={`/users/${currentUser.id}`}>{currentUser.name}</Link>
+        ) : (
+          '...'
+        )}
+        <button className="button" onClick={onLogoutClicked}>
+          Log Out
+        </button>
+      </span>
+    )
+  } else {
+    sessionContent = (
+      <Link to="/login" className="button">
+        Log In
+      </Link>
+    )
   }
   return (
-    <nav>
-      <section>
-        <h1>Redux Essentials Example</h1>
+    <React.Fragment>
+      <nav>
+        <section>
+          <h1>Redux Essentials Example</h1>
 
-        <div className="navContent">
-          <div className="navLinks">
-            <Link to="/">Posts</Link>
-            <Link to="/users">Users</Link>
-            <Link to="/notifications">
-              Notifications {unreadNotificationsBadge}
-            </Link>
+          <div className="navContent">
+            <div className="navLinks">
+              <Link to="/">Posts</Link>
+              {isLoggedIn && <Link to="/following">Following</Link>}
+              {isLoggedIn && (
+                <Link to="/drafts">
+                  Drafts{' '}
+                  {drafts.length > 0 && (
+                    <span className="badge">{drafts.length}</span>
+                  )}
+                </Link>
+              )}
+              <Link to="/users">Users</Link>
+              <Link to="/tags">Tags</Link>
+              <Link to="/notifications">
+                Notifications {unreadNotificationsBadge}
+              </Link>
+            </div>
+            <div className="navActions">
+              <SearchBox />
+              {pendingChanges.length > 0 && (
+                <span
+                  className="pending-changes"
+                  title="Changes that haven't been sent to the server yet"
+                >
+                  {pendingChanges.length} pending{' '}
+                  {pendingChanges.length === 1 ? 'change' : 'changes'}
+                </span>
+              )}
+              <span
+                className={`socket-status socket-status-${socketStatus}`}
+                title="Live notifications connection"
+              >
+                {socketStatusLabels[socketStatus]}
+              </span>
+              <button className="button" onClick={refetchNotifications}>
+                Refresh Notifications
+              </button>
+              {sessionContent}
+            </div>
           </div>
-          <button className="button" onClick={fetchNewNotifications}>
-            Refresh Notifications
-          </button>
+        </section>
+      </nav>
+      {!isOnline && (
+        <div className="offline-banner" role="status">
+          You're offline. Changes you make will be saved when the connection
+          comes back.
         </div>
-      </section>
-    </nav>
+      )}
+    </React.Fragment>
   )
 }
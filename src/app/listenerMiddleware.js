@@ -0,0 +1,8 @@
+import { createListenerMiddleware } from '@reduxjs/toolkit'
+
+/* Listener middleware runs side effects in response to actions, after the 
+  reducers have seen them. Features add their listeners with 
+  `startAppListening()`, and the store adds the middleware. */
+export const listenerMiddleware = createListenerMiddleware()
+
+export const startAppListening = listenerMiddleware.startListening
@@ -0,0 +1,159 @@
+import { apiSlice } from '../features/api/apiSlice'
+
+/* Some slices are saved to localStorage, so that a reload starts with what we
+  had last time instead of an empty store. The session, drafts and outbox have
+  to survive a reload. Some of the API cache is saved too: the posts, users and
+  notifications are shown right away, and refreshed from the server in the
+  background.
+
+  Everything is saved under one key as `{version, state}`. Whenever the shape of
+  what's saved changes, bump PERSISTED_STATE_VERSION and add a migration that
+  turns state saved by the previous version into the new shape. */
+const STORAGE_KEY = 'reduxState'
+
+export const PERSISTED_STATE_VERSION = 1
+
+// Changes are saved at most this often, since some slices change a lot
+const WRITE_THROTTLE_MS = 1000
+
+/* `migrations[n]` takes state saved by version `n - 1` and returns it in the
+  shape of version `n`. */
+const migrations = {}
+
+const pickEntities = ({ ids, entities }) => ({ ids, entities })
+
+// The API endpoints whose cached data is worth showing before it's refreshed
+const persistedEndpoints = ['getPosts', 'getUsers', 'getNotifications']
+
+/* Picks the cached results of `persistedEndpoints` out of the API slice, along
+  with the tags they provide, so that mutations still invalidate them. Requests
+  that were in flight or failed aren't kept. */
+const pickCachedQueries = ({ queries, provided }) => {
+  const savedQueries = {}
+  Object.entries(queries).forEach(([cacheKey, entry]) => {
+    if (
+      entry &&
+      entry.status === 'fulfilled' &&
+      persistedEndpoints.includes(entry.endpointName)
+    ) {
+      savedQueries[cacheKey] = entry
+    }
+  })
+
+  const savedProvided = {}
+  Object.entries(provided).forEach(([type, cacheKeysById]) => {
+    Object.entries(cacheKeysById).forEach(([id, cacheKeys]) => {
+      const savedKeys = cacheKeys.filter((cacheKey) => savedQueries[cacheKey])
+      if (savedKeys.length) {
+        savedProvided[type] = { ...savedProvided[type], [id]: savedKeys }
+      }
+    })
+  })
+
+  return { queries: savedQueries, provided: savedProvided }
+}
+
+/* What each saved slice keeps. Anything else, like request statuses, starts
+  out from the slice's initial state on every visit. */
+const persistedSlices = {
+  auth: (state) => ({ session: state.session }),
+  drafts: pickEntities,
+  offline: (state) => ({ outbox: state.outbox }),
+  [apiSlice.reducerPath]: pickCachedQueries,
+}
+
+// Returns the saved `{version, state}`, or null if nothing was saved
+const readSavedState = () => JSON.parse(localStorage.getItem(STORAGE_KEY))
+
+const migrate = ({ version, state }) => {
+  let migrated = state
+  for (let next = version + 1; next <= PERSISTED_STATE_VERSION; next++) {
+    migrated = migrations[next](migrated)
+  }
+  return migrated
+}
+
+/* Returns the `preloadedState` for configureStore(), with each saved slice
+  merged into the initial state of its reducer in `reducers`. State that can't
+  be read or migrated is thrown away rather than risking a broken store. */
+export const loadPersistedState = (reducers) => {
+  let saved
+  try {
+    saved = readSavedState()
+    if (!saved || saved.version > PERSISTED_STATE_VERSION) {
+      return undefined
+    }
+    saved = migrate(saved)
+  } catch (err) {
+    return undefined
+  }
+
+  const preloadedState = {}
+  Object.keys(persistedSlices).forEach((name) => {
+    if (saved[name]) {
+      const initialState = reducers[name](undefined, { type: '' })
+      preloadedState[name] = { ...initialState, ...saved[name] }
+    }
+  })
+  return preloadedState
+}
+
+const writeState = (state) => {
+  const savedSlices = {}
+  Object.entries(persistedSlices).forEach(([name, pick]) => {
+    savedSlices[name] = pick(state[name])
+  })
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: PERSISTED_STATE_VERSION, state: savedSlices })
+    )
+  } catch (err) {
+    // Most likely the storage is full. The app works fine without it.
+  }
+}
+
+/* Saves the persisted slices whenever one of them changes, at most once per
+  WRITE_THROTTLE_MS. Anything still waiting is saved when the page is hidden,
+  since the user may be closing it. */
+export const persistStore = (store) => {
+  let savedState = store.getState()
+  let timeoutId = null
+
+  const flush = () => {
+    clearTimeout(timeoutId)
+    timeoutId = null
+    savedState = store.getState()
+    writeState(savedState)
+  }
+
+  store.subscribe(() => {
+    const state = store.getState()
+    const changed = Object.keys(persistedSlices).some(
+      (name) => state[name] !== savedState[name]
+    )
+    if (changed && timeoutId === null) {
+      timeoutId = setTimeout(flush, WRITE_THROTTLE_MS)
+    }
+  })
+
+  window.addEventListener('pagehide', () => {
+    if (timeoutId !== null) {
+      flush()
+    }
+  })
+}
+
+/* Fetches the cached queries restored from the last visit again, in the
+  background. Whatever shows them keeps showing the restored data meanwhile. */
+export const refetchRestoredQueries = (store) => {
+  const { queries } = store.getState()[apiSlice.reducerPath]
+  Object.values(queries).forEach(({ endpointName, originalArgs }) => {
+    store.dispatch(
+      apiSlice.endpoints[endpointName].initiate(originalArgs, {
+        subscribe: false,
+        forceRefetch: true,
+      })
+    )
+  })
+}
@@ -0,0 +1,184 @@
+import { apiSlice } from '../features/api/apiSlice'
+import {
+  PERSISTED_STATE_VERSION,
+  loadPersistedState,
+  persistStore,
+} from './persistence'
+
+// Stand-ins for the real reducers, which only need to give an initial state
+const reducers = {
+  auth: (state = { session: null, loginStatus: 'idle' }) => state,
+  drafts: (state = { ids: [], entities: {} }) => state,
+  offline: (state = { isOnline: true, outbox: [] }) => state,
+  [apiSlice.reducerPath]: apiSlice.reducer,
+}
+
+const session = { token: 'abc', userId: 'u1' }
+const entry = { id: 'e1', kind: 'addNewPost', arg: {}, userId: 'u1' }
+
+const save = (key, value) => localStorage.setItem(key, JSON.stringify(value))
+const read = (key) => JSON.parse(localStorage.getItem(key))
+
+beforeEach(() => {
+  localStorage.clear()
+})
+
+describe('loadPersistedState', () => {
+  it('returns nothing if nothing was saved', () => {
+    expect(loadPersistedState(reducers)).toBeUndefined()
+  })
+
+  it('merges the saved slices into their initial state', () => {
+    save('reduxState', {
+      version: PERSISTED_STATE_VERSION,
+      state: { auth: { session }, offline: { outbox: [entry] } },
+    })
+    expect(loadPersistedState(reducers)).toEqual({
+      auth: { session, loginStatus: 'idle' },
+      offline: { isOnline: true, outbox: [entry] },
+    })
+  })
+
+  it('keeps the API config when restoring cached queries', () => {
+    const queries = {
+      'getUsers(undefined)': {
+        status: 'fulfilled',
+        endpointName: 'getUsers',
+        data: { ids: [], entities: {} },
+      },
+    }
+    save('reduxState', {
+      version: PERSISTED_STATE_VERSION,
+      state: { api: { queries, provided: {} } },
+    })
+    const { api } = loadPersistedState(reducers)
+    expect(api.queries).toEqual(queries)
+    expect(api.config.reducerPath).toBe('api')
+  })
+
+  it('ignores state saved by a newer version', () => {
+    save('reduxState', {
+      version: PERSISTED_STATE_VERSION + 1,
+      state: { auth: { session } },
+    })
+    expect(loadPersistedState(reducers)).toBeUndefined()
+  })
+
+  it('ignores state that is corrupt', () => {
+    localStorage.setItem('reduxState', '{"version": 1, "sta')
+    expect(loadPersistedState(reducers)).toBeUndefined()
+  })
+})
+
+describe('persistStore', () => {
+  // Just enough of a store for persistStore()
+  const createStore = (initialState) => {
+    let state = initialState
+    let listener
+    return {
+      getState: () => state,
+      subscribe: (newListener) => {
+        listener = newListener
+      },
+      setState: (newState) => {
+        state = newState
+        listener()
+      },
+    }
+  }
+
+  const initialState = {
+    auth: { session: null, loginStatus: 'idle' },
+    drafts: { ids: [], entities: {} },
+    offline: { isOnline: true, outbox: [] },
+    posts: { unsavedReactions: {} },
+    api: { queries: {}, mutations: {}, provided: {}, config: {} },
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('saves the persisted parts of the slices at most once a second', () => {
+    const store = createStore(initialState)
+    persistStore(store)
+
+    store.setState({
+      ...initialState,
+      auth: { session, loginStatus: 'succeeded' },
+    })
+    expect(read('reduxState')).toBeNull()
+
+    jest.advanceTimersByTime(1000)
+    expect(read('reduxState')).toEqual({
+      version: PERSISTED_STATE_VERSION,
+      state: {
+        auth: { session },
+        drafts: { ids: [], entities: {} },
+        offline: { outbox: [] },
+        api: { queries: {}, provided: {} },
+      },
+    })
+  })
+
+  it("doesn't save changes to other slices", () => {
+    const store = createStore(initialState)
+    persistStore(store)
+    store.setState({ ...initialState, posts: { unsavedReactions: { p1: {} } } })
+    jest.advanceTimersByTime(1000)
+    expect(read('reduxState')).toBeNull()
+  })
+
+  it('only saves the cached queries worth restoring', () => {
+    const store = createStore(initialState)
+    persistStore(store)
+
+    const posts = { status: 'fulfilled', endpointName: 'getPosts' }
+    store.setState({
+      ...initialState,
+      api: {
+        ...initialState.api,
+        queries: {
+          'getPosts("")': posts,
+          'getUsers(undefined)': {
+            status: 'pending',
+            endpointName: 'getUsers',
+          },
+          'getPost("p1")': { status: 'fulfilled', endpointName: 'getPost' },
+        },
+        provided: {
+          Post: {
+            LIST: ['getPosts("")'],
+            p1: ['getPosts("")', 'getPost("p1")'],
+          },
+          User: { LIST: ['getUsers(undefined)'] },
+        },
+      },
+    })
+    jest.advanceTimersByTime(1000)
+
+    expect(read('reduxState').state.api).toEqual({
+      queries: { 'getPosts("")': posts },
+      provided: {
+        Post: {
+          LIST: ['getPosts("")'],
+          p1: ['getPosts("")'],
+        },
+      },
+    })
+  })
+
+  it('saves right away when the page is hidden', () => {
+    const store = createStore(initialState)
+    persistStore(store)
+
+    store.setState({ ...initialState, offline: { outbox: [entry] } })
+    window.dispatchEvent(new Event('pagehide'))
+
+    expect(read('reduxState').state.offline).toEqual({ outbox: [entry] })
+  })
+})
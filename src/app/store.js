@@ -1,12 +1,56 @@
 import { configureStore } from '@reduxjs/toolkit'
+import { setAuthToken } from '../api/client'
+import { listenerMiddleware } from './listenerMiddleware'
+import { loadPersistedState, persistStore } from './persistence'
+import { apiSlice } from '../features/api/apiSlice'
+import authReducer, { selectSession } from '../features/auth/authSlice'
+import draftsReducer from '../features/drafts/draftsSlice'
 import postsReducer from '../features/posts/postsSlice'
-import usersReducer from '../features/users/usersSlice'
 import notificationsReducer from '../features/notifications/notificationsSlice'
+import toastsReducer from '../features/toasts/toastsSlice'
+import offlineReducer from '../features/offline/offlineSlice'
+import { startOfflineListeners } from '../features/offline/offlineListeners'
+import { startToastListeners } from '../features/toasts/toastListeners'
+import { notificationsSocketMiddleware } from '../features/notifications/notificationsSocket'
 
-export default configureStore({
-  reducer: {
-    posts: postsReducer,
-    users: usersReducer,
-    notifications: notificationsReducer,
-  },
+const reducer = {
+  auth: authReducer,
+  posts: postsReducer,
+  notifications: notificationsReducer,
+  drafts: draftsReducer,
+  toasts: toastsReducer,
+  offline: offlineReducer,
+  // The cache of everything we fetched from the server
+  [apiSlice.reducerPath]: apiSlice.reducer,
+}
+
+const store = configureStore({
+  reducer,
+  // What we saved last time, so the first render already has it
+  preloadedState: loadPersistedState(reducer),
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware()
+      // The listeners should see every action, so they go first
+      .prepend(listenerMiddleware.middleware)
+      // The API middleware manages cache lifetimes and invalidation
+      .concat(apiSlice.middleware, notificationsSocketMiddleware),
 })
+
+startToastListeners()
+startOfflineListeners()
+
+persistStore(store)
+
+// Whenever the session changes, start sending the new token with our requests
+let currentSession = selectSession(store.getState())
+setAuthToken(currentSession ? currentSession.token : null)
+
+store.subscribe(() => {
+  const session = selectSession(store.getState())
+  if (session !== currentSession) {
+    currentSession = session
+    setAuthToken(session ? session.token : null)
+  }
+})
+
+export default store
@@ -0,0 +1,31 @@
+import React from 'react'
+import { ApiErrorCodes } from '../api/client'
+
+// Renders a serialized ApiError, along with the reason for each invalid field
+// if the server rejected the request's data
+export const ApiErrorMessage = ({ error, prefix = '' }) => {
+  if (!error) {
+    return null
+  }
+
+  let message = error.message
+  if (error.code === ApiErrorCodes.NETWORK_ERROR) {
+    message = `${message}. Check your connection and try again.`
+  }
+
+  const fieldErrors = Object.entries(error.details || {})
+
+  return (
+    <div className="form-error">
+      {prefix}
+      {message}
+      {fieldErrors.length > 0 && (
+        <ul>
+          {fieldErrors.map(([field, fieldError]) => (
+            <li key={field}>{fieldError}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,12 @@
+// The reason a form field is invalid, shown right below it. Give the field
+// `aria-describedby={id}` so screen readers announce it too.
+export const FieldError = ({ id, error }) => {
+  if (!error) {
+    return null
+  }
+  return (
+    <div id={id} className="field-error" role="alert">
+      {error}
+    </div>
+  )
+}
@@ -0,0 +1,381 @@
+import React from 'react'
+
+/* A small Markdown renderer for post content. It turns the source into a tree
+  of blocks and inline nodes, and then into React elements, never into an HTML
+  string. That means there's no way for raw HTML in a post to end up in the
+  page: `<script>` is just text, and React escapes it like any other text.
+
+  It supports the common parts of Markdown: headings, paragraphs, block quotes,
+  lists, fenced code blocks, horizontal rules, and inline **bold**, *italics*,
+  ~~strikethrough~~, `code`, links and images. Links and images only keep URLs
+  with a safe scheme, so `javascript:` links are dropped. */
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|\/|#)/i
+
+const safeUrl = (url) => (SAFE_URL_PATTERN.test(url) ? url : null)
+
+const isWordChar = (char) => Boolean(char) && /[A-Za-z0-9]/.test(char)
+
+/* Inline parsing */
+
+// Characters that a backslash can escape
+const ESCAPABLE = '\\`*_~[]()!#>+-.'
+
+// URLs may contain balanced parentheses, like Wikipedia links often do
+const LINK_PATTERN = /^\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/
+const IMAGE_PATTERN = /^!\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/
+
+// Finds the closing `delimiter` for one opened at `start`, if there is one
+const findClosing = (text, delimiter, start) => {
+  const end = text.indexOf(delimiter, start)
+  return end > start ? end : -1
+}
+
+/* Finds the `*` or `_` that closes emphasis opened at `start`. Doubled ones
+  belong to bold text nested inside it, like in `*a **b** c*`, and escaped ones
+  or ones in code spans aren't delimiters at all, so those are skipped. */
+const findEmphasisClosing = (text, char, start) => {
+  let i = start
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2
+      continue
+    }
+    if (text[i] === '`') {
+      const end = findClosing(text, '`', i + 1)
+      if (end !== -1) {
+        i = end + 1
+        continue
+      }
+    }
+    if (text[i] === char) {
+      if (text[i + 1] !== char) {
+        return i > start ? i : -1
+      }
+      i += 2
+      continue
+    }
+    i++
+  }
+  return -1
+}
+
+const parseInline = (text) => {
+  const nodes = []
+  let buffer = ''
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', value: buffer })
+      buffer = ''
+    }
+  }
+
+  let i = 0
+  while (i < text.length) {
+    const char = text[i]
+    const rest = text.slice(i)
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1]
+      i += 2
+      continue
+    }
+
+    if (char === '`') {
+      const end = findClosing(text, '`', i + 1)
+      if (end !== -1) {
+        flush()
+        nodes.push({ type: 'code', value: text.slice(i + 1, end) })
+        i = end + 1
+        continue
+      }
+    }
+
+    const image = IMAGE_PATTERN.exec(rest)
+    if (image) {
+      flush()
+      const src = safeUrl(image[2])
+      nodes.push(
+        src
+          ? { type: 'image', src, alt: image[1] }
+          : { type: 'text', value: image[1] }
+      )
+      i += image[0].length
+      continue
+    }
+
+    const link = LINK_PATTERN.exec(rest)
+    if (link) {
+      flush()
+      const href = safeUrl(link[2])
+      const children = parseInline(link[1])
+      nodes.push(
+        href ? { type: 'link', href, children } : { type: 'span', children }
+      )
+      i += link[0].length
+      continue
+    }
+
+    const pair = rest.slice(0, 2)
+    if (pair === '**' || pair === '__' || pair === '~~') {
+      const end = findClosing(text, pair, i + 2)
+      if (end !== -1) {
+        flush()
+        nodes.push({
+          type: pair === '~~' ? 'del' : 'strong',
+          children: parseInline(text.slice(i + 2, end)),
+        })
+        i = end + 2
+        continue
+      }
+    }
+
+    // Underscores inside words, like in snake_case, aren't emphasis
+    if (char === '*' || (char === '_' && !isWordChar(text[i - 1]))) {
+      const end = findEmphasisClosing(text, char, i + 1)
+      if (end !== -1 && (char === '*' || !isWordChar(text[end + 1]))) {
+        flush()
+        nodes.push({
+          type: 'em',
+          children: parseInline(text.slice(i + 1, end)),
+        })
+        i = end + 1
+        continue
+      }
+    }
+
+    buffer += char
+    i++
+  }
+
+  flush()
+  return nodes
+}
+
+/* Block parsing */
+
+const FENCE_PATTERN = /^\s*```/
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/
+const QUOTE_PATTERN = /^\s*>\s?/
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+(.*)$/
+
+const isBlank = (line) => !line.trim()
+
+const startsBlock = (line) =>
+  FENCE_PATTERN.test(line) ||
+  HEADING_PATTERN.test(line) ||
+  RULE_PATTERN.test(line) ||
+  QUOTE_PATTERN.test(line) ||
+  LIST_ITEM_PATTERN.test(line)
+
+const parseBlocks = (lines) => {
+  const blocks = []
+  let i = 0
+
+  while (i < lines.length) {
+    const line = lines[i]
+
+    if (isBlank(line)) {
+      i++
+    } else if (FENCE_PATTERN.test(line)) {
+      const codeLines = []
+      i++
+      while (i < lines.length && !FENCE_PATTERN.test(lines[i])) {
+        codeLines.push(lines[i])
+        i++
+      }
+      // Skip the closing fence, if the code block has one
+      i++
+      blocks.push({ type: 'code', value: codeLines.join('\n') })
+    } else if (HEADING_PATTERN.test(line)) {
+      const [, hashes, text] = HEADING_PATTERN.exec(line)
+      blocks.push({
+        type: 'heading',
+        level: hashes.length,
+        children: parseInline(text),
+      })
+      i++
+    } else if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' })
+      i++
+    } else if (QUOTE_PATTERN.test(line)) {
+      const quoteLines = []
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoteLines.push(lines[i].replace(QUOTE_PATTERN, ''))
+        i++
+      }
+      blocks.push({ type: 'quote', children: parseBlocks(quoteLines) })
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const ordered = /\d/.test(LIST_ITEM_PATTERN.exec(line)[1])
+      const items = []
+      while (i < lines.length && !isBlank(lines[i])) {
+        const item = LIST_ITEM_PATTERN.exec(lines[i])
+        if (item) {
+          items.push(item[2])
+        } else if (startsBlock(lines[i])) {
+          break
+        } else {
+          // A line that continues the previous item
+          items[items.length - 1] += ` ${lines[i].trim()}`
+        }
+        i++
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        items: items.map((item) => parseInline(item)),
+      })
+    } else {
+      const paragraphLines = []
+      while (
+        i < lines.length &&
+        !isBlank(lines[i]) &&
+        (!paragraphLines.length || !startsBlock(lines[i]))
+      ) {
+        paragraphLines.push(lines[i].trim())
+        i++
+      }
+      blocks.push({
+        type: 'paragraph',
+        children: parseInline(paragraphLines.join(' ')),
+      })
+    }
+  }
+
+  return blocks
+}
+
+export const parseMarkdown = (source = '') =>
+  parseBlocks(source.replace(/\r\n?/g, '\n').split('\n'))
+
+/* Plain text */
+
+const inlineText = (nodes) =>
+  nodes
+    .map((node) => {
+      switch (node.type) {
+        case 'text':
+        case 'code':
+          return node.value
+        case 'image':
+          return node.alt
+        default:
+          return inlineText(node.children)
+      }
+    })
+    .join('')
+
+const blockText = (block) => {
+  switch (block.type) {
+    case 'code':
+      return block.value
+    case 'rule':
+      return ''
+    case 'quote':
+      return block.children.map(blockText).join(' ')
+    case 'list':
+      return block.items.map(inlineText).join(' ')
+    default:
+      return inlineText(block.children)
+  }
+}
+
+// The text a reader would see, without any of the formatting
+export const markdownToPlainText = (source) =>
+  parseMarkdown(source)
+    .map(blockText)
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+/* Shortens the plain text of `source` to at most `maxLength` characters, ending
+  at a word boundary. Since it works on the plain text, it can't cut through a
+  formatting token the way cutting the source would. */
+export const markdownExcerpt = (source, maxLength = 100) => {
+  const text = markdownToPlainText(source)
+  if (text.length <= maxLength) {
+    return text
+  }
+
+  const cut = text.lastIndexOf(' ', maxLength)
+  // A single very long word is kept whole rather than cut in half
+  const end = cut > 0 ? cut : text.indexOf(' ', maxLength)
+  if (end === -1) {
+    return text
+  }
+  return `${text.slice(0, end).replace(/[\s.,;:!?-]+$/, '')}…`
+}
+
+/* Rendering */
+
+const renderInline = (nodes) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={index}>{node.value}</React.Fragment>
+      case 'code':
+        return <code key={index}>{node.value}</code>
+      case 'strong':
+        return <strong key={index}>{renderInline(node.children)}</strong>
+      case 'em':
+        return <em key={index}>{renderInline(node.children)}</em>
+      case 'del':
+        return <del key={index}>{renderInline(node.children)}</del>
+      case 'link':
+        return (
+          <a
+            key={index}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+          >
+            {renderInline(node.children)}
+          </a>
+        )
+      case 'image':
+        return <img key={index} src={node.src} alt={node.alt} />
+      default:
+        return <span key={index}>{renderInline(node.children)}</span>
+    }
+  })
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      // Post pages already use <h2> for the title, so headings start at <h3>
+      const Tag = `h${Math.min(block.level + 2, 6)}`
+      return <Tag key={index}>{renderInline(block.children)}</Tag>
+    }
+    case 'code':
+      return (
+        <pre key={index}>
+          <code>{block.value}</code>
+        </pre>
+      )
+    case 'rule':
+      return <hr key={index} />
+    case 'quote':
+      return (
+        <blockquote key={index}>{block.children.map(renderBlock)}</blockquote>
+      )
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul'
+      return (
+        <Tag key={index}>
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item)}</li>
+          ))}
+        </Tag>
+      )
+    }
+    default:
+      return <p key={index}>{renderInline(block.children)}</p>
+  }
+}
+
+export const Markdown = ({ source, className = 'markdown' }) => (
+  <div className={className}>{parseMarkdown(source).map(renderBlock)}</div>
+)
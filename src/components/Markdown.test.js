@@ -0,0 +1,168 @@
+import { render } from '@testing-library/react'
+import {
+  Markdown,
+  markdownExcerpt,
+  markdownToPlainText,
+  parseMarkdown,
+} from './Markdown'
+
+// The inline nodes of a source that's a single paragraph
+const parseParagraph = (source) => {
+  const [block] = parseMarkdown(source)
+  expect(block.type).toBe('paragraph')
+  return block.children
+}
+
+const text = (value) => ({ type: 'text', value })
+
+describe('parseMarkdown', () => {
+  it('parses headings, rules, quotes and code blocks', () => {
+    const blocks = parseMarkdown(
+      '## Title ##\n\n---\n\n> quoted\n\n```\nconst a = *b*\n```'
+    )
+    expect(blocks).toEqual([
+      { type: 'heading', level: 2, children: [text('Title')] },
+      { type: 'rule' },
+      {
+        type: 'quote',
+        children: [{ type: 'paragraph', children: [text('quoted')] }],
+      },
+      // Nothing inside a code block is formatted
+      { type: 'code', value: 'const a = *b*' },
+    ])
+  })
+
+  it('joins the lines of a paragraph and of a list item', () => {
+    expect(parseMarkdown('one\ntwo\n\n1. first\n   more\n2. second')).toEqual([
+      { type: 'paragraph', children: [text('one two')] },
+      {
+        type: 'list',
+        ordered: true,
+        items: [[text('first more')], [text('second')]],
+      },
+    ])
+  })
+
+  it('parses bold, italics, strikethrough and code', () => {
+    expect(parseParagraph('**b** *i* _u_ ~~d~~ `*c*`')).toEqual([
+      { type: 'strong', children: [text('b')] },
+      text(' '),
+      { type: 'em', children: [text('i')] },
+      text(' '),
+      { type: 'em', children: [text('u')] },
+      text(' '),
+      { type: 'del', children: [text('d')] },
+      text(' '),
+      { type: 'code', value: '*c*' },
+    ])
+  })
+
+  it('nests bold inside italics', () => {
+    expect(parseParagraph('*a **b** c*')).toEqual([
+      {
+        type: 'em',
+        children: [
+          text('a '),
+          { type: 'strong', children: [text('b')] },
+          text(' c'),
+        ],
+      },
+    ])
+  })
+
+  it('nests italics inside bold', () => {
+    expect(parseParagraph('**a *b* c**')).toEqual([
+      {
+        type: 'strong',
+        children: [
+          text('a '),
+          { type: 'em', children: [text('b')] },
+          text(' c'),
+        ],
+      },
+    ])
+  })
+
+  it("doesn't close italics on an escaped or quoted delimiter", () => {
+    expect(parseParagraph('*a \\* `*` b*')).toEqual([
+      {
+        type: 'em',
+        children: [text('a * '), { type: 'code', value: '*' }, text(' b')],
+      },
+    ])
+  })
+
+  it('leaves underscores inside words and unclosed delimiters alone', () => {
+    expect(parseParagraph('snake_case_name and *open')).toEqual([
+      text('snake_case_name and *open'),
+    ])
+  })
+
+  it('keeps links and images with safe URLs', () => {
+    expect(
+      parseParagraph(
+        '[a](https://example.com/Foo_(bar)) ![b](/b.png) [c](mailto:c@d.e)'
+      )
+    ).toEqual([
+      {
+        type: 'link',
+        href: 'https://example.com/Foo_(bar)',
+        children: [text('a')],
+      },
+      text(' '),
+      { type: 'image', src: '/b.png', alt: 'b' },
+      text(' '),
+      { type: 'link', href: 'mailto:c@d.e', children: [text('c')] },
+    ])
+  })
+
+  it('drops links and images with unsafe URLs, keeping their text', () => {
+    expect(
+      parseParagraph(
+        '[a](javascript:alert(1)) ![b](data:image/png;base64,AA) [c](JavaScript:x)'
+      )
+    ).toEqual([
+      { type: 'span', children: [text('a')] },
+      text(' '),
+      text('b'),
+      text(' '),
+      { type: 'span', children: [text('c')] },
+    ])
+  })
+})
+
+describe('markdownToPlainText', () => {
+  it('removes the formatting', () => {
+    expect(
+      markdownToPlainText('# Hi\n\nSome **bold** and [a link](/x)\n\n- one')
+    ).toBe('Hi Some bold and a link one')
+  })
+})
+
+describe('markdownExcerpt', () => {
+  it('returns short text unchanged', () => {
+    expect(markdownExcerpt('*short*', 10)).toBe('short')
+  })
+
+  it('cuts long text at a word boundary', () => {
+    expect(markdownExcerpt('one two, three four', 12)).toBe('one two…')
+  })
+})
+
+describe('<Markdown>', () => {
+  it('renders raw HTML as text', () => {
+    const { container } = render(
+      <Markdown source={'<script>alert(1)</script> <b>hi</b>'} />
+    )
+    expect(container.querySelector('script')).toBeNull()
+    expect(container.querySelector('b')).toBeNull()
+    expect(container).toHaveTextContent('<script>alert(1)</script> <b>hi</b>')
+  })
+
+  it('opens links in a new tab without passing on the opener', () => {
+    const { getByRole } = render(<Markdown source="[docs](https://x.org)" />)
+    const link = getByRole('link', { name: 'docs' })
+    expect(link).toHaveAttribute('href', 'https://x.org')
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer nofollow')
+  })
+})
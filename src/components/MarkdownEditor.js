@@ -0,0 +1,45 @@
+import { useState } from 'react'
+import { Markdown } from './Markdown'
+
+// A textarea for Markdown, with a tab that shows how it will look. Any other
+// props, like aria attributes, are passed on to the textarea.
+export const MarkdownEditor = ({ value, onChange, ...textareaProps }) => {
+  const [mode, setMode] = useState('write')
+
+  const tab = (tabMode, label) => (
+    <button
+      type="button"
+      role="tab"
+      aria-selected={mode === tabMode}
+      className={mode === tabMode ? 'editor-tab selected' : 'editor-tab'}
+      onClick={() => setMode(tabMode)}
+    >
+      {label}
+    </button>
+  )
+
+  return (
+    <div className="markdown-editor">
+      <div role="tablist">
+        {tab('write', 'Write')}
+        {tab('preview', 'Preview')}
+      </div>
+      {mode === 'write' ? (
+        <textarea
+          {...textareaProps}
+          value={value}
+          onChange={onChange}
+          placeholder="You can use Markdown"
+        />
+      ) : (
+        <div className="markdown-preview">
+          {value.trim() ? (
+            <Markdown source={value} />
+          ) : (
+            <p className="markdown-empty">Nothing to preview</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
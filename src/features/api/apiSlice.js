@@ -0,0 +1,57 @@
+// Import the RTK Query methods from the React-specific entry point
+import { createApi } from '@reduxjs/toolkit/query/react'
+import { client, serializeApiError } from '../../api/client'
+
+/* --- RTK Query ---
+
+  RTK Query is a data fetching and caching tool built into Redux Toolkit. Instead
+  of writing a thunk, `status` and `error` fields and reducers for every request,
+  we describe each server endpoint once, and RTK Query generates the thunks, the
+  reducers that cache the results, and React hooks that fetch the data and tell
+  the component whether it's loading, failed or succeeded.
+
+  The cache is keyed by endpoint and argument, so any number of components can ask
+  for the same data and only one request is sent. When the last component using
+  some data unmounts, the data is kept for a while (60 seconds by default) and then
+  removed.
+
+  Cached data is refreshed with "tags". Each query says which tags its data
+  provides, like `{type: 'Post', id: postId}` for a single post, and each mutation
+  says which tags it invalidates. When a mutation succeeds, every query that
+  provided one of its tags is fetched again. A query that provides a `LIST` id
+  for a type is refetched whenever an item of that type is added or removed.
+
+  The app has a single API slice. Each feature adds the endpoints it needs with
+  `apiSlice.injectEndpoints()`, next to the rest of its code. */
+
+/* Sends RTK Query's requests with our client(), so they get the same auth token,
+  timeouts, retries and ApiError shapes as everything else. `args` is either the
+  URL, or `{url, method, body}`. */
+const clientBaseQuery =
+  ({ baseUrl }) =>
+  async (args, { signal }) => {
+    const {
+      url,
+      body,
+      method = body ? 'POST' : 'GET',
+    } = typeof args === 'string' ? { url: args } : args
+    try {
+      const response = await client(baseUrl + url, { method, body, signal })
+      return { data: response.data }
+    } catch (err) {
+      return { error: serializeApiError(err) }
+    }
+  }
+
+// Define our single API slice object
+export const apiSlice = createApi({
+  // The cache reducer expects to be added at `state.api` (already default - this is optional)
+  reducerPath: 'api',
+  // All of our requests will have URLs starting with '/fakeApi'
+  baseQuery: clientBaseQuery({ baseUrl: '/fakeApi' }),
+  // The kinds of data that queries provide and mutations invalidate
+  tagTypes: ['Post', 'Comment', 'User', 'Notification', 'Tag'],
+  // The "endpoints" represent operations and requests for this server. Each
+  // feature injects its own.
+  endpoints: () => ({}),
+})
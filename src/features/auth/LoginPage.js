@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { Redirect, useHistory, useLocation } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { selectAllUsers } from '../users/usersSlice'
+import { selectIsLoggedIn, useLoginMutation } from './authSlice'
+
+/* The fake API has no passwords, so logging in just means picking one of the 
+  seeded users. Route guards send people here with the page they wanted in 
+  `location.state.from`, and we take them back there afterwards. */
+export const LoginPage = () => {
+  const [username, setUsername] = useState('')
+
+  const history = useHistory()
+  const location = useLocation()
+
+  const users = useSelector(selectAllUsers)
+  const isLoggedIn = useSelector(selectIsLoggedIn)
+  const [login, { isLoading, error: loginError }] = useLoginMutation()
+
+  const from = (location.state && location.state.from) || { pathname: '/' }
+
+  const canLogin = Boolean(username) && !isLoading
+
+  const onLoginClicked = async () => {
+    if (canLogin) {
+      try {
+        await login(username).unwrap()
+        history.replace(from)
+      } catch (err) {
+        // The mutation keeps the error, and it's shown below
+      }
+    }
+  }
+
+  if (isLoggedIn && !isLoading) {
+    return <Redirect to={from} />
+  }
+
+  const usersOptions = users.map((user) => (
+    <option key={user.id} value={user.username}>
+      {user.name}
+    </option>
+  ))
+
+  return (
+    <section>
+      <h2>Log In</h2>
+      <form>
+        <label htmlFor="loginUser">User:</label>
+        <select
+          id="loginUser"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        >
+          <option value=""></option>
+          {usersOptions}
+        </select>
+        <ApiErrorMessage error={loginError} prefix="Failed to log in: " />
+        <button type="button" onClick={onLoginClicked} disabled={!canLogin}>
+          {isLoading ? 'Logging in...' : 'Log In'}
+        </button>
+      </form>
+    </section>
+  )
+}
@@ -0,0 +1,23 @@
+import { useSelector } from 'react-redux'
+import { Redirect, Route } from 'react-router-dom'
+import { selectIsLoggedIn } from './authSlice'
+
+// A <Route> that sends logged out users to the login page first
+export const PrivateRoute = ({ component: Component, ...rest }) => {
+  const isLoggedIn = useSelector(selectIsLoggedIn)
+
+  return (
+    <Route
+      {...rest}
+      render={(props) =>
+        isLoggedIn ? (
+          <Component {...props} />
+        ) : (
+          <Redirect
+            to={{ pathname: '/login', state: { from: props.location } }}
+          />
+        )
+      }
+    />
+  )
+}
@@ -0,0 +1,73 @@
+import { createSlice, isAnyOf } from '@reduxjs/toolkit'
+import { ApiErrorCodes } from '../../api/client'
+import { apiSlice } from '../api/apiSlice'
+
+const initialState = {
+  /* `{token, userId}` while someone is logged in. It's saved with the rest of 
+    the persisted state, so that a reload doesn't log us out. */
+  session: null,
+}
+
+export const authApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    login: builder.mutation({
+      query: (username) => ({
+        url: '/login',
+        method: 'POST',
+        body: { username },
+      }),
+      // Notifications depend on who's logged in, and we get the latest about the user
+      invalidatesTags: (result) =>
+        result ? ['Notification', { type: 'User', id: result.user.id }] : [],
+    }),
+    logout: builder.mutation({
+      query: () => ({ url: '/logout', method: 'POST' }),
+      invalidatesTags: ['Notification'],
+    }),
+  }),
+})
+
+export const { useLoginMutation, useLogoutMutation } = authApi
+
+const { login, logout } = authApi.endpoints
+
+/* If the server doesn't recognize our token anymore, any request can fail with
+  an `unauthorized` error. The session is useless at that point, so we drop it
+  and let the user log in again. */
+const isUnauthorizedError = (action) =>
+  action.type.endsWith('/rejected') &&
+  Boolean(action.payload) &&
+  action.payload.code === ApiErrorCodes.UNAUTHORIZED
+
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {},
+  extraReducers(builder) {
+    builder
+      .addMatcher(login.matchFulfilled, (state, action) => {
+        const { token, user } = action.payload
+        state.session = { token, userId: user.id }
+      })
+      // Logging out locally shouldn't depend on the server agreeing to it
+      .addMatcher(
+        isAnyOf(
+          logout.matchFulfilled,
+          logout.matchRejected,
+          isUnauthorizedError
+        ),
+        (state) => {
+          state.session = null
+        }
+      )
+  },
+})
+
+export default authSlice.reducer
+
+export const selectSession = (state) => state.auth.session
+
+export const selectCurrentUserId = (state) =>
+  state.auth.session ? state.auth.session.userId : null
+
+export const selectIsLoggedIn = (state) => Boolean(state.auth.session)
@@ -0,0 +1,64 @@
+import { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { Link, useLocation } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { selectIsLoggedIn } from '../auth/authSlice'
+import { useAddNewCommentMutation } from './commentsSlice'
+
+export const AddCommentForm = ({ postId }) => {
+  const [text, setText] = useState('')
+  const [addRequestStatus, setAddRequestStatus] = useState('idle')
+  const [addError, setAddError] = useState(null)
+
+  const [addNewComment] = useAddNewCommentMutation()
+  const location = useLocation()
+
+  const isLoggedIn = useSelector(selectIsLoggedIn)
+
+  const onTextChanged = (e) => setText(e.target.value)
+
+  const canSave = Boolean(text) && addRequestStatus === 'idle'
+
+  const onSaveCommentClicked = async () => {
+    if (canSave) {
+      try {
+        setAddRequestStatus('pending')
+        setAddError(null)
+        await addNewComment({ postId, text }).unwrap()
+        setText('')
+      } catch (err) {
+        setAddError(err)
+      } finally {
+        setAddRequestStatus('idle')
+      }
+    }
+  }
+
+  if (!isLoggedIn) {
+    return (
+      <p>
+        <Link to={{ pathname: '/login', state: { from: location } }}>
+          Log in
+        </Link>{' '}
+        to leave a comment.
+      </p>
+    )
+  }
+
+  return (
+    <form className="comment-form">
+      <h4>Add a Comment</h4>
+      <label htmlFor="commentText">Comment:</label>
+      <textarea
+        id="commentText"
+        name="commentText"
+        value={text}
+        onChange={onTextChanged}
+      />
+      <ApiErrorMessage error={addError} prefix="Failed to save the comment: " />
+      <button type="button" onClick={onSaveCommentClicked} disabled={!canSave}>
+        Save Comment
+      </button>
+    </form>
+  )
+}
@@ -0,0 +1,162 @@
+import React, { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { Spinner } from '../../components/Spinner'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { PostAuthor } from '../posts/PostAuthor'
+import { TimeAgo } from '../posts/TimeAgo'
+import { AddCommentForm } from './AddCommentForm'
+import {
+  useDeleteCommentMutation,
+  useGetCommentsQuery,
+  useUpdateCommentMutation,
+} from './commentsSlice'
+
+let CommentExcerpt = ({ comment }) => {
+  const commentId = comment.id
+  const currentUserId = useSelector(selectCurrentUserId)
+  const [isEditing, setIsEditing] = useState(false)
+  const [text, setText] = useState(comment.text)
+  const [requestStatus, setRequestStatus] = useState('idle')
+  const [requestError, setRequestError] = useState(null)
+
+  const [updateComment] = useUpdateCommentMutation()
+  const [deleteComment] = useDeleteCommentMutation()
+
+  // Resolves to true if the request succeeded. A deleted comment unmounts this
+  // component, so the status is only reset by the caller or on failure.
+  const runRequest = async (startRequest) => {
+    try {
+      setRequestStatus('pending')
+      setRequestError(null)
+      await startRequest().unwrap()
+      return true
+    } catch (err) {
+      setRequestError(err)
+      setRequestStatus('idle')
+      return false
+    }
+  }
+
+  const onSaveClicked = async () => {
+    if (
+      text &&
+      (await runRequest(() => updateComment({ id: commentId, text })))
+    ) {
+      setRequestStatus('idle')
+      setIsEditing(false)
+    }
+  }
+
+  const onDeleteClicked = () => runRequest(() => deleteComment(commentId))
+
+  const onEditClicked = () => {
+    setText(comment.text)
+    setIsEditing(true)
+  }
+
+  const isPending = requestStatus === 'pending'
+  // Only the author of a comment may change it
+  const canModify = Boolean(currentUserId) && comment.user === currentUserId
+
+  let body
+  if (isEditing) {
+    body = (
+      <form>
+        <textarea
+          aria-label="Edit comment"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <button
+          type="button"
+          onClick={onSaveClicked}
+          disabled={!text || isPending}
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          className="muted-button"
+          onClick={() => setIsEditing(false)}
+          disabled={isPending}
+        >
+          Cancel
+        </button>
+      </form>
+    )
+  } else {
+    body = (
+      <React.Fragment>
+        <p>{comment.text}</p>
+        {canModify && (
+          <React.Fragment>
+            <button
+              type="button"
+              className="muted-button"
+              onClick={onEditClicked}
+              disabled={isPending}
+            >
+              Edit
+            </button>
+            <button
+              type="button"
+              className="muted-button"
+              onClick={onDeleteClicked}
+              disabled={isPending}
+            >
+              Delete
+            </button>
+          </React.Fragment>
+        )}
+      </React.Fragment>
+    )
+  }
+
+  return (
+    <div className="comment">
+      <div>
+        <PostAuthor userId={comment.user} />
+        <TimeAgo timestamp={comment.date} />
+      </div>
+      {body}
+      <ApiErrorMessage error={requestError} />
+    </div>
+  )
+}
+
+CommentExcerpt = React.memo(CommentExcerpt)
+
+export const CommentsList = ({ postId }) => {
+  const {
+    data: comments = [],
+    isLoading,
+    isSuccess,
+    isError,
+    error,
+  } = useGetCommentsQuery(postId)
+
+  let content
+
+  if (isLoading) {
+    content = <Spinner text="Loading comments..." size="3em" />
+  } else if (isSuccess) {
+    content = comments.length ? (
+      comments.map((comment) => (
+        <CommentExcerpt key={comment.id} comment={comment} />
+      ))
+    ) : (
+      <p>No comments yet.</p>
+    )
+  } else if (isError) {
+    content = <ApiErrorMessage error={error} />
+  }
+
+  return (
+    <section className="comments-list">
+      <h3>Comments</h3>
+      {content}
+      <AddCommentForm postId={postId} />
+    </section>
+  )
+}
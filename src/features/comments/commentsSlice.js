@@ -0,0 +1,79 @@
+import { apiSlice } from '../api/apiSlice'
+
+/* Comments are fetched one post at a time. Each post's list is provided under 
+  a `POST-<postId>` ID, so adding a comment refetches only that post's list, and 
+  each comment under its own ID, so changing a comment refetches whichever list 
+  it's in. Adding or deleting a comment also changes the post's comment count. */
+const postCommentsTag = (postId) => ({ type: 'Comment', id: `POST-${postId}` })
+
+export const commentsApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getComments: builder.query({
+      query: (postId) => `/posts/${postId}/comments`,
+      // Comments are shown oldest first, like a conversation
+      transformResponse: (responseData) =>
+        responseData.comments
+          .slice()
+          .sort((a, b) => a.date.localeCompare(b.date)),
+      providesTags: (result = [], error, postId) => [
+        postCommentsTag(postId),
+        ...result.map(({ id }) => ({ type: 'Comment', id })),
+      ],
+    }),
+    addNewComment: builder.mutation({
+      // Receives the partial `{postId, text}` object
+      query: ({ postId, ...initialComment }) => ({
+        url: `/posts/${postId}/comments`,
+        method: 'POST',
+        body: initialComment,
+      }),
+      invalidatesTags: (result, error, { postId }) =>
+        result ? [postCommentsTag(postId), { type: 'Post', id: postId }] : [],
+    }),
+    updateComment: builder.mutation({
+      query: ({ id, text }) => ({
+        url: `/comments/${id}`,
+        method: 'PATCH',
+        body: { text },
+      }),
+      invalidatesTags: (result, error, { id }) =>
+        result ? [{ type: 'Comment', id }] : [],
+    }),
+    // Responds with the deleted comment, which tells us the post it was on
+    deleteComment: builder.mutation({
+      query: (commentId) => ({
+        url: `/comments/${commentId}`,
+        method: 'DELETE',
+      }),
+      // Take it off the list right away, rather than waiting for the refetch
+      async onQueryStarted(commentId, { dispatch, queryFulfilled }) {
+        try {
+          const { data: comment } = await queryFulfilled
+          dispatch(
+            commentsApi.util.updateQueryData(
+              'getComments',
+              comment.post,
+              (draft) => draft.filter(({ id }) => id !== commentId)
+            )
+          )
+        } catch (err) {
+          // The caller gets the error from the mutation itself
+        }
+      },
+      invalidatesTags: (result, error, commentId) =>
+        result
+          ? [
+              { type: 'Comment', id: commentId },
+              { type: 'Post', id: result.post },
+            ]
+          : [],
+    }),
+  }),
+})
+
+export const {
+  useGetCommentsQuery,
+  useAddNewCommentMutation,
+  useUpdateCommentMutation,
+  useDeleteCommentMutation,
+} = commentsApi
@@ -0,0 +1,18 @@
+import { TimeAgo } from '../posts/TimeAgo'
+
+// Tells the user that a form was filled in from their draft
+export const DraftNotice = ({ savedAt, onDiscard }) => {
+  if (!savedAt) {
+    return null
+  }
+
+  return (
+    <div className="draft-notice">
+      Restored your draft from
+      <TimeAgo timestamp={savedAt} />
+      <button type="button" className="muted-button" onClick={onDiscard}>
+        Discard Draft
+      </button>
+    </div>
+  )
+}
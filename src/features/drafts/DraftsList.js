@@ -0,0 +1,57 @@
+import { useDispatch, useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { markdownExcerpt } from '../../components/Markdown'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { selectPostById } from '../posts/postsSlice'
+import { TimeAgo } from '../posts/TimeAgo'
+import { draftDiscarded, selectDraftsByUser } from './draftsSlice'
+
+const DraftExcerpt = ({ draft }) => {
+  const dispatch = useDispatch()
+  const post = useSelector(selectPostById(draft.postId))
+
+  // The draft of a new post is picked up by the form on the front page
+  const resumePath = draft.postId ? `/editPost/${draft.postId}` : '/'
+
+  let description = 'New post'
+  if (draft.postId) {
+    description = post ? `Changes to "${post.title}"` : 'Changes to a post'
+  }
+
+  return (
+    <article className="post-excerpt">
+      <h3>{draft.title || '(Untitled)'}</h3>
+      <div>
+        {description}, saved
+        <TimeAgo timestamp={draft.updatedAt} />
+      </div>
+      <p className="post-content">{markdownExcerpt(draft.content)}</p>
+      <Link to={resumePath} className="button">
+        Resume
+      </Link>
+      <button
+        type="button"
+        className="button muted-button"
+        onClick={() => dispatch(draftDiscarded(draft.key))}
+      >
+        Discard
+      </button>
+    </article>
+  )
+}
+
+export const DraftsList = () => {
+  const userId = useSelector(selectCurrentUserId)
+  const drafts = useSelector(selectDraftsByUser(userId))
+
+  return (
+    <section className="posts-list">
+      <h2>Drafts</h2>
+      {drafts.length ? (
+        drafts.map((draft) => <DraftExcerpt key={draft.key} draft={draft} />)
+      ) : (
+        <p>You don't have any drafts.</p>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,56 @@
+import {
+  createEntityAdapter,
+  createSelector,
+  createSlice,
+} from '@reduxjs/toolkit'
+
+/* Drafts of the post forms, saved as the user types so that leaving the form or 
+  a failed save doesn't lose their work. Each user has at most one draft of a 
+  new post, plus one for each post they've started editing. Like the session, 
+  drafts are persisted so they survive a reload. */
+
+// `postId` is null for the draft of a new post
+export const draftKey = (userId, postId) => `${userId}/${postId || 'new'}`
+
+const draftsAdapter = createEntityAdapter({
+  selectId: (draft) => draft.key,
+  sortComparer: (a, b) => b.updatedAt.localeCompare(a.updatedAt),
+})
+
+const draftsSlice = createSlice({
+  name: 'drafts',
+  initialState: draftsAdapter.getInitialState(),
+  reducers: {
+    draftSaved: {
+      reducer: draftsAdapter.upsertOne,
+      // The payload is `{userId, postId, title, content, tags}`
+      prepare(draft) {
+        return {
+          payload: {
+            ...draft,
+            key: draftKey(draft.userId, draft.postId),
+            updatedAt: new Date().toISOString(),
+          },
+        }
+      },
+    },
+    draftDiscarded: draftsAdapter.removeOne,
+  },
+})
+
+export const { draftSaved, draftDiscarded } = draftsSlice.actions
+
+export default draftsSlice.reducer
+
+const { selectAll: selectAllDrafts, selectById } = draftsAdapter.getSelectors(
+  (state) => state.drafts
+)
+
+export const selectDraft = (userId, postId) => (state) =>
+  selectById(state, draftKey(userId, postId))
+
+// Most recently changed first
+export const selectDraftsByUser = (userId) =>
+  createSelector([selectAllDrafts, (state) => userId], (drafts, userId) =>
+    drafts.filter((draft) => draft.userId === userId)
+  )
@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { selectCurrentUserId } from '../auth/authSlice'
+import {
+  draftDiscarded,
+  draftKey,
+  draftSaved,
+  selectDraft,
+} from './draftsSlice'
+
+// Save the draft once the user stops typing for this long
+const AUTOSAVE_DELAY_MS = 500
+
+const LEAVE_MESSAGE =
+  "This post hasn't been saved. Your changes are kept as a draft, but other " +
+  "people won't see them. Leave anyway?"
+
+const sameValues = (a, b) =>
+  a.title === b.title &&
+  a.content === b.content &&
+  a.tags.length === b.tags.length &&
+  a.tags.every((tag, index) => tag === b.tags[index])
+
+const pickValues = ({ title, content, tags }) => ({
+  title,
+  content,
+  tags: tags || [],
+})
+
+/* Holds the `{title, content, tags}` of a post form, starting from the saved 
+  draft if there is one, and keeps the draft up to date as the user types. 
+  `postId` is null for a new post, and `initialValues` are what the form shows 
+  without a draft: the values that count as "no changes".
+
+  Forms should call `clearDraft()` once the post has been saved, and render 
+  `<Prompt when={isDirty} message={confirmLeave} />` to warn before leaving. */
+export const usePostDraft = (postId, initialValues) => {
+  const dispatch = useDispatch()
+  const userId = useSelector(selectCurrentUserId)
+  const savedDraft = useSelector(selectDraft(userId, postId))
+
+  // These only matter when the form opens, so later changes are ignored
+  const [baseline] = useState(() => pickValues(initialValues))
+  const [values, setValues] = useState(() =>
+    savedDraft ? pickValues(savedDraft) : baseline
+  )
+  const [restoredAt, setRestoredAt] = useState(
+    savedDraft ? savedDraft.updatedAt : null
+  )
+
+  const savedDraftRef = useRef(savedDraft)
+  savedDraftRef.current = savedDraft
+
+  // Set once the post is saved, so navigating away from the form is allowed
+  const submittedRef = useRef(false)
+
+  const isDirty = !sameValues(values, baseline)
+
+  useEffect(() => {
+    if (!userId) {
+      return
+    }
+    const key = draftKey(userId, postId)
+    const draft = savedDraftRef.current
+
+    // Undoing every change leaves nothing worth keeping
+    if (!isDirty) {
+      if (draft) {
+        dispatch(draftDiscarded(key))
+      }
+      return
+    }
+    if (draft && sameValues(pickValues(draft), values)) {
+      return
+    }
+
+    const timeoutId = setTimeout(() => {
+      dispatch(draftSaved({ userId, postId, ...values }))
+    }, AUTOSAVE_DELAY_MS)
+    return () => clearTimeout(timeoutId)
+  }, [values, isDirty, userId, postId, dispatch])
+
+  // Closing the tab or reloading doesn't go through the router's <Prompt>
+  useEffect(() => {
+    if (!isDirty) {
+      return
+    }
+    const onBeforeUnload = (e) => {
+      if (!submittedRef.current) {
+        e.preventDefault()
+        e.returnValue = LEAVE_MESSAGE
+      }
+    }
+    window.addEventListener('beforeunload', onBeforeUnload)
+    return () => window.removeEventListener('beforeunload', onBeforeUnload)
+  }, [isDirty])
+
+  const setField = useCallback((field, value) => {
+    submittedRef.current = false
+    setValues((values) => ({ ...values, [field]: value }))
+  }, [])
+
+  // Throws the draft away and puts the form back the way it started
+  const discardDraft = () => {
+    dispatch(draftDiscarded(draftKey(userId, postId)))
+    setValues(baseline)
+    setRestoredAt(null)
+  }
+
+  const clearDraft = () => {
+    submittedRef.current = true
+    discardDraft()
+  }
+
+  const confirmLeave = () => submittedRef.current || LEAVE_MESSAGE
+
+  return {
+    values,
+    setField,
+    isDirty,
+    restoredAt,
+    discardDraft,
+    clearDraft,
+    confirmLeave,
+  }
+}
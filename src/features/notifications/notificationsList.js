@@ -1,21 +1,62 @@
 import classNames from 'classnames'
 import { parseISO, formatDistanceToNow } from 'date-fns'
-import { useLayoutEffect } from 'react'
-import { useDispatch, useSelector } from 'react-redux'
+import { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { reactionEmoji } from '../posts/ReactionButtons'
 import { selectAllUsers } from '../users/usersSlice'
 import {
-  allNotificationsRead,
   selectAllNotifications,
+  selectUnreadNotifications,
+  useDismissNotificationMutation,
+  useMarkNotificationsReadMutation,
+  useUpdateNotificationReadMutation,
 } from './notificationsSlice'
 
+// Describe what happened, based on the type of the notification
+const describeNotification = (notification, userName) => {
+  const title = <b>{notification.postTitle}</b>
+  switch (notification.type) {
+    case 'post':
+      return (
+        <span>
+          <b>{userName}</b> published a new post: {title}
+        </span>
+      )
+    case 'comment':
+      return (
+        <span>
+          <b>{userName}</b> commented on {title}
+        </span>
+      )
+    case 'reaction':
+      return (
+        <span>
+          {notification.user ? <b>{userName}</b> : 'Someone'} reacted{' '}
+          {reactionEmoji[notification.reaction]} to {title}
+        </span>
+      )
+    default:
+      return <span>Something happened to {title}</span>
+  }
+}
+
 export const NotificationsList = () => {
-  const dispatch = useDispatch()
-  const notifications = useSelector(selectAllNotifications)
+  const [markNotificationsRead] = useMarkNotificationsReadMutation()
+  const [updateNotificationRead] = useUpdateNotificationReadMutation()
+  const [dismissNotification] = useDismissNotificationMutation()
+  const allNotifications = useSelector(selectAllNotifications)
+  const unreadNotifications = useSelector(selectUnreadNotifications)
   const users = useSelector(selectAllUsers)
+  const [showUnreadOnly, setShowUnreadOnly] = useState(false)
 
-  useLayoutEffect(() => {
-    dispatch(allNotificationsRead())
-  })
+  const notifications = showUnreadOnly ? unreadNotifications : allNotifications
+
+  const onMarkAllReadClicked = () => {
+    markNotificationsRead(
+      unreadNotifications.map((notification) => notification.id)
+    )
+  }
 
   const renderedNotifications = notifications.map((notification) => {
     const date = parseISO(notification.date)
@@ -25,25 +66,82 @@ export const NotificationsList = () => {
     }
 
     const notificationClassname = classNames('notification', {
-      new: notification.isNew,
+      new: !notification.read,
     })
 
     return (
       <div key={notification.id} className={notificationClassname}>
-        <div>
-          <b>{user.name}</b> {notification.message}
-        </div>
+        <Link
+          to={`/posts/${notification.postId}`}
+          onClick={() => {
+            // Opening a notification marks it read
+            if (!notification.read) {
+              markNotificationsRead([notification.id])
+            }
+          }}
+        >
+          {describeNotification(notification, user.name)}
+        </Link>
         <div title={notification.date}>
           <i>{timeAgo} ago</i>
         </div>
+        <div className="notification-actions">
+          <button
+            type="button"
+            className="muted-button"
+            onClick={() =>
+              updateNotificationRead({
+                id: notification.id,
+                read: !notification.read,
+              })
+            }
+          >
+            {notification.read ? 'Mark unread' : 'Mark read'}
+          </button>
+          <button
+            type="button"
+            className="muted-button"
+            onClick={() => dismissNotification(notification.id)}
+          >
+            Dismiss
+          </button>
+        </div>
       </div>
     )
   })
 
+  let emptyMessage
+  if (!notifications.length) {
+    emptyMessage = (
+      <p>
+        {showUnreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+      </p>
+    )
+  }
+
   return (
     <section className="notificationsList">
       <h2>Notifications</h2>
+      <div className="notifications-toolbar">
+        <label>
+          <input
+            type="checkbox"
+            checked={showUnreadOnly}
+            onChange={(e) => setShowUnreadOnly(e.target.checked)}
+          />
+          Unread only
+        </label>
+        <button
+          type="button"
+          className="button"
+          onClick={onMarkAllReadClicked}
+          disabled={!unreadNotifications.length}
+        >
+          Mark all read
+        </button>
+      </div>
       {renderedNotifications}
+      {emptyMessage}
     </section>
   )
 }
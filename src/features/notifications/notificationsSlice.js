@@ -1,80 +1,157 @@
 import {
-  createAsyncThunk,
   createEntityAdapter,
+  createSelector,
   createSlice,
 } from '@reduxjs/toolkit'
-import { client } from '../../api/client'
+import { apiSlice } from '../api/apiSlice'
 
 const notificationsAdapter = createEntityAdapter({
   sortComparer: (a, b) => b.date.localeCompare(a.date),
 })
 
-/* Thunk Arguments - For createAsyncThunk specifically, you can only pass in one argument, 
-  and whatever we pass in becomes the first argument of the payload creation callback. The 
-  second argument to our payload creator is a thunkAPI object containing several useful 
-  functions and pieces of information:
-
-  - dispatch and getState: the actual dispatch and getState methods from our Redux store. 
-    You can use these inside the thunk to dispatch more actions, or get the latest Redux 
-    store state (such as reading an updated value after another action is dispatched).
-  - extra: the "extra argument" that can be passed into the thunk middleware when creating 
-    the store. This is typically some kind of API wrapper, such as a set of functions that 
-    know how to make API calls to your application's server and return data, so that your 
-    thunks don't have to have all the URLs and query logic directly inside.
-  - requestId: a unique random ID value for this thunk call. Useful for tracking status of 
-    an individual request.
-  - signal: An AbortController.signal function that can be used to cancel an in-progress 
-    request.
-  - rejectWithValue: a utility that helps customize the contents of a rejected action if 
-    the thunk receives an error. */
-
-export const fetchNotifications = createAsyncThunk(
-  'notifications/fetchNotifications',
-  // We can destructure the getState function out of the thunkAPI object
-  async (_, { getState }) => {
-    const allNotifications = selectAllNotifications(getState())
-    /* Since the array of notifications is sorted newest first, we can grab the latest one 
-      using array destructuring. */
-    const [latestNotification] = allNotifications
-    const latestTimestamp = latestNotification ? latestNotification.date : ''
-    const response = await client.get(
-      `/fakeApi/notifications?since=${latestTimestamp}`
-    )
-    return response.data
+const initialNotificationsData = notificationsAdapter.getInitialState()
+
+/* Changes to notifications are shown right away, and undone if the server 
+  fails to save them. updateQueryData() applies a change to the cached 
+  notifications with Immer, like a reducer would, and the action it returns has 
+  the patches to undo it. Since we apply the changes ourselves, the mutations 
+  don't invalidate anything. */
+const updateCachedNotifications = (recipe) =>
+  notificationsApi.util.updateQueryData('getNotifications', undefined, recipe)
+
+const setRead = (ids, read) =>
+  updateCachedNotifications((draft) => {
+    ids.forEach((id) => {
+      if (draft.entities[id]) {
+        draft.entities[id].read = read
+      }
+    })
+  })
+
+// Builds an `onQueryStarted` that applies `update(arg)` until the mutation fails
+const optimisticUpdate =
+  (update) =>
+  async (arg, { dispatch, queryFulfilled }) => {
+    const patchResult = dispatch(update(arg))
+    try {
+      await queryFulfilled
+    } catch (err) {
+      patchResult.undo()
+    }
   }
-)
+
+export const notificationsApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    // The notifications the server has saved for us. New ones are pushed over
+    // the notifications socket and added to the cached ones.
+    getNotifications: builder.query({
+      query: () => '/notifications',
+      transformResponse: (responseData) =>
+        notificationsAdapter.setAll(initialNotificationsData, responseData),
+      providesTags: ['Notification'],
+    }),
+    markNotificationsRead: builder.mutation({
+      // Receives the IDs of the notifications to mark read
+      query: (ids) => ({
+        url: '/notifications/read',
+        method: 'POST',
+        body: { ids },
+      }),
+      onQueryStarted: optimisticUpdate((ids) => setRead(ids, true)),
+    }),
+    updateNotificationRead: builder.mutation({
+      // Receives `{id, read}` for the notification to change
+      query: ({ id, read }) => ({
+        url: `/notifications/${id}`,
+        method: 'PATCH',
+        body: { read },
+      }),
+      onQueryStarted: optimisticUpdate(({ id, read }) => setRead([id], read)),
+    }),
+    dismissNotification: builder.mutation({
+      query: (notificationId) => ({
+        url: `/notifications/${notificationId}`,
+        method: 'DELETE',
+      }),
+      onQueryStarted: optimisticUpdate((notificationId) =>
+        updateCachedNotifications((draft) => {
+          notificationsAdapter.removeOne(draft, notificationId)
+        })
+      ),
+    }),
+  }),
+})
+
+export const {
+  useGetNotificationsQuery,
+  useMarkNotificationsReadMutation,
+  useUpdateNotificationReadMutation,
+  useDismissNotificationMutation,
+} = notificationsApi
+
+// Adds new notifications that the server pushed to the cached ones
+export const notificationsReceived = (notifications) =>
+  updateCachedNotifications((draft) => {
+    notificationsAdapter.upsertMany(draft, notifications)
+  })
 
 const notificationsSlice = createSlice({
   name: 'notifications',
-  initialState: notificationsAdapter.getInitialState(),
+  initialState: {
+    // The state of the live notifications socket: 'disconnected', 'connecting'
+    // or 'connected'
+    socketStatus: 'disconnected',
+  },
   reducers: {
-    allNotificationsRead(state, action) {
-      Object.values(state.entities).forEach((notification) => {
-        notification.read = true
-      })
+    // Handled by the notifications socket middleware, which opens the socket
+    socketConnectionRequested(state, action) {
+      state.socketStatus = 'connecting'
     },
-  },
-  extraReducers: {
-    // @ts-ignore
-    [fetchNotifications.fulfilled]: (state, action) => {
-      notificationsAdapter.upsertMany(state, action.payload)
-      Object.values(state.entities).forEach((notification) => {
-        // Any notifications we've read are no longer new
-        notification.isNew = !notification.read
-      })
+    socketConnected(state, action) {
+      state.socketStatus = 'connected'
+    },
+    socketDisconnected(state, action) {
+      state.socketStatus = 'disconnected'
     },
   },
 })
 
-export const { allNotificationsRead } = notificationsSlice.actions
+export const {
+  socketConnectionRequested,
+  socketConnected,
+  socketDisconnected,
+} = notificationsSlice.actions
 
 export default notificationsSlice.reducer
 
+export const selectNotificationsResult =
+  notificationsApi.endpoints.getNotifications.select()
+
+const selectNotificationsData = createSelector(
+  selectNotificationsResult,
+  (notificationsResult) => notificationsResult.data || initialNotificationsData
+)
+
 const {
   selectAll: selectAllNotifications,
   selectById,
   selectIds: selectNotificationIds,
-} = notificationsAdapter.getSelectors((state) => state.notifications)
+} = notificationsAdapter.getSelectors(selectNotificationsData)
 const selectNotificationById = (notificationId) => (state) =>
   selectById(state, notificationId)
 export { selectAllNotifications, selectNotificationById, selectNotificationIds }
+
+/* Since the array of notifications is sorted newest first, we can grab the latest one 
+  using array destructuring. */
+export const selectLatestNotificationTimestamp = (state) => {
+  const [latestNotification] = selectAllNotifications(state)
+  return latestNotification ? latestNotification.date : ''
+}
+
+export const selectUnreadNotifications = createSelector(
+  [selectAllNotifications],
+  (notifications) => notifications.filter((notification) => !notification.read)
+)
+
+export const selectNotificationsSocketStatus = (state) =>
+  state.notifications.socketStatus
@@ -0,0 +1,101 @@
+import { selectCurrentUserId } from '../auth/authSlice'
+import {
+  notificationsReceived,
+  selectLatestNotificationTimestamp,
+  socketConnected,
+  socketConnectionRequested,
+  socketDisconnected,
+} from './notificationsSlice'
+
+// The mock socket server in `api/server.js` listens on this URL
+const NOTIFICATIONS_SOCKET_URL = 'ws://localhost'
+
+// Wait this long before the first reconnect attempt, doubling it after each
+// failed attempt, up to the maximum
+const RECONNECT_BASE_DELAY_MS = 1000
+const RECONNECT_MAX_DELAY_MS = 30000
+
+const sendMessage = (socket, obj) => {
+  socket.send(JSON.stringify(obj))
+}
+
+/* Middleware that keeps a socket open to the server, so that new notifications 
+  show up as soon as the server pushes them instead of waiting for the user to 
+  refresh. Dispatch `socketConnectionRequested()` once at startup to open it. If 
+  the connection drops, it's reopened with an exponential backoff, and after 
+  reconnecting we ask for anything newer than the latest notification we have, 
+  in case we missed some while we were disconnected. */
+export const notificationsSocketMiddleware = (store) => {
+  let socket = null
+  let reconnectAttempts = 0
+  let reconnectTimer = null
+  let hasConnectedBefore = false
+
+  const connect = () => {
+    socket = new WebSocket(NOTIFICATIONS_SOCKET_URL)
+
+    socket.onopen = () => {
+      reconnectAttempts = 0
+      store.dispatch(socketConnected())
+
+      if (hasConnectedBefore) {
+        const since = selectLatestNotificationTimestamp(store.getState())
+        sendMessage(socket, { type: 'notifications', payload: since })
+      }
+      hasConnectedBefore = true
+    }
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data)
+
+      switch (message.type) {
+        case 'notifications': {
+          // The server pushes everything that happens, including what we did
+          // ourselves and reactions to other people's posts, which we don't
+          // need to be notified about
+          const currentUserId = selectCurrentUserId(store.getState())
+          const notifications = message.payload.filter((notification) =>
+            notification.type === 'reaction'
+              ? Boolean(currentUserId) &&
+                notification.postAuthor === currentUserId
+              : !currentUserId || notification.user !== currentUserId
+          )
+          if (notifications.length) {
+            store.dispatch(notificationsReceived(notifications))
+          }
+          break
+        }
+        default:
+          break
+      }
+    }
+
+    socket.onclose = () => {
+      socket = null
+      store.dispatch(socketDisconnected())
+      scheduleReconnect()
+    }
+  }
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts,
+      RECONNECT_MAX_DELAY_MS
+    )
+    reconnectAttempts++
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null
+      store.dispatch(socketConnectionRequested())
+    }, delay)
+  }
+
+  return (next) => (action) => {
+    const result = next(action)
+
+    if (socketConnectionRequested.match(action) && !socket && !reconnectTimer) {
+      connect()
+    }
+
+    return result
+  }
+}
@@ -0,0 +1,153 @@
+import { isAnyOf } from '@reduxjs/toolkit'
+import { ApiErrorCodes } from '../../api/client'
+import { startAppListening } from '../../app/listenerMiddleware'
+import { apiSlice } from '../api/apiSlice'
+import { authApi, selectCurrentUserId } from '../auth/authSlice'
+import { draftSaved, selectDraft } from '../drafts/draftsSlice'
+import { postsApi } from '../posts/postsSlice'
+import {
+  connectionChanged,
+  mutationFailed,
+  mutationQueued,
+  mutationRefused,
+  mutationSent,
+  outboxReplayRequested,
+  outboxReplayStopped,
+  selectIsOnline,
+  selectOutboxForUser,
+} from './offlineSlice'
+import { asReplay } from './queueWhenOffline'
+
+// The mutation endpoints that can be queued, by the `kind` of their outbox entries
+const { addNewPost, updatePost, saveReactions } = postsApi.endpoints
+const outboxEndpoints = { addNewPost, updatePost, saveReactions }
+
+/* A request can fail with a network error even though the browser says we're
+  online. There's no event for when that gets better, so we try again after
+  this long. */
+const REPLAY_RETRY_DELAY_MS = 15000
+
+/* Errors that might go away by themselves. The change stays in the outbox and
+  is sent again later. Any other error means the server won't ever accept it. */
+const temporaryErrorCodes = [
+  ApiErrorCodes.NETWORK_ERROR,
+  ApiErrorCodes.TIMEOUT,
+  // The session ran out, so the change is sent after logging in again
+  ApiErrorCodes.UNAUTHORIZED,
+]
+
+const isTemporaryError = (error) =>
+  !error || temporaryErrorCodes.includes(error.code)
+
+/* A server error might go away by itself too, but it might just as well be
+  caused by the change, and it would then hold up everything queued after it.
+  So the change is only sent this many times before it's refused, and we wait
+  twice as long before each try. */
+const MAX_FAILED_ATTEMPTS = 5
+
+const shouldRetryServerError = (entry, error) =>
+  error.code === ApiErrorCodes.SERVER_ERROR &&
+  entry.failedAttempts + 1 < MAX_FAILED_ATTEMPTS
+
+/* New posts and edits the server refused are saved as drafts, so the user can
+  fix them up and try again. A draft the user has been working on since isn't
+  replaced, though. */
+const keepAsDraft = ({ kind, arg, userId }, { getState, dispatch }) => {
+  if (kind === 'saveReactions') {
+    return false
+  }
+  const postId = kind === 'updatePost' ? arg.id : null
+  if (selectDraft(userId, postId)(getState())) {
+    return false
+  }
+  const { title, content, tags } = arg
+  dispatch(draftSaved({ userId, postId, title, content, tags }))
+  return true
+}
+
+// Sends the current user's changes in the order they were made
+const replayOutbox = async (listenerApi) => {
+  const { getState, dispatch } = listenerApi
+
+  while (selectIsOnline(getState())) {
+    const userId = selectCurrentUserId(getState())
+    const [entry] = selectOutboxForUser(userId)(getState())
+    if (!entry) {
+      return
+    }
+
+    const endpoint = outboxEndpoints[entry.kind]
+    const result = await dispatch(
+      // Nothing shows the result, so it isn't kept in the store
+      endpoint.initiate(asReplay(entry.arg), { track: false })
+    )
+    if ('data' in result) {
+      dispatch(mutationSent(entry.id))
+      continue
+    }
+
+    const { error } = result
+    if (isTemporaryError(error)) {
+      // Later changes may depend on this one, so they have to wait too
+      dispatch(outboxReplayStopped())
+      return
+    }
+    if (shouldRetryServerError(entry, error)) {
+      dispatch(mutationFailed(entry.id))
+      dispatch(outboxReplayStopped())
+      return
+    }
+
+    const savedAsDraft = keepAsDraft(entry, listenerApi)
+    dispatch(mutationRefused({ entry, error, savedAsDraft }))
+    // The post still shows the change optimistically, so get the real one
+    if (entry.kind !== 'addNewPost' && error.code !== ApiErrorCodes.NOT_FOUND) {
+      const postId = entry.arg.id || entry.arg.postId
+      dispatch(apiSlice.util.invalidateTags([{ type: 'Post', id: postId }]))
+    }
+  }
+}
+
+// Dispatches `connectionChanged` whenever the browser goes online or offline
+export const watchConnection = (dispatch) => {
+  const onConnectionChange = () => dispatch(connectionChanged(navigator.onLine))
+  window.addEventListener('online', onConnectionChange)
+  window.addEventListener('offline', onConnectionChange)
+  // Changes queued in an earlier visit can be sent now
+  onConnectionChange()
+}
+
+export const startOfflineListeners = () => {
+  startAppListening({
+    matcher: isAnyOf(
+      connectionChanged,
+      authApi.endpoints.login.matchFulfilled,
+      outboxReplayRequested
+    ),
+    effect: async (action, listenerApi) => {
+      // Only one replay runs at a time, and it sends whatever is queued meanwhile
+      listenerApi.unsubscribe()
+      try {
+        await replayOutbox(listenerApi)
+      } finally {
+        listenerApi.subscribe()
+      }
+    },
+  })
+
+  startAppListening({
+    matcher: isAnyOf(mutationQueued, outboxReplayStopped),
+    effect: async (action, listenerApi) => {
+      // Going offline is handled by `connectionChanged` instead
+      if (!selectIsOnline(listenerApi.getState())) {
+        return
+      }
+      listenerApi.cancelActiveListeners()
+      const state = listenerApi.getState()
+      const [entry] = selectOutboxForUser(selectCurrentUserId(state))(state)
+      const failedAttempts = entry ? entry.failedAttempts : 0
+      await listenerApi.delay(REPLAY_RETRY_DELAY_MS * 2 ** failedAttempts)
+      listenerApi.dispatch(outboxReplayRequested())
+    },
+  })
+}
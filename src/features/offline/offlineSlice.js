@@ -0,0 +1,132 @@
+import { createSelector, createSlice, nanoid } from '@reduxjs/toolkit'
+
+/* While we're offline, mutations aren't sent to the server. They're put in the
+  outbox instead, in the order they were made, and sent once the connection
+  comes back. The outbox is persisted, so that closing the tab while offline
+  doesn't lose anything. */
+
+const initialState = {
+  isOnline: navigator.onLine,
+  /* Each entry is `{id, kind, arg, userId, queuedAt, failedAttempts}`, where
+    `kind` names the mutation endpoint to call with `arg`. `userId` is who made
+    the change, since only they can send it. `failedAttempts` counts how often
+    the server failed to handle it. */
+  outbox: [],
+}
+
+// Later changes to the same thing are folded into the entry that's already queued
+const findMergeableEntry = (outbox, { kind, arg, userId }) =>
+  outbox.find((entry) => {
+    if (entry.kind !== kind || entry.userId !== userId) {
+      return false
+    }
+    switch (kind) {
+      case 'updatePost':
+        return entry.arg.id === arg.id
+      case 'saveReactions':
+        return (
+          entry.arg.postId === arg.postId && entry.arg.reaction === arg.reaction
+        )
+      default:
+        return false
+    }
+  })
+
+const offlineSlice = createSlice({
+  name: 'offline',
+  initialState,
+  reducers: {
+    connectionChanged(state, action) {
+      state.isOnline = action.payload
+    },
+    mutationQueued: {
+      reducer(state, action) {
+        const { kind, arg } = action.payload
+        const existing = findMergeableEntry(state.outbox, action.payload)
+        if (!existing) {
+          state.outbox.push(action.payload)
+        } else if (kind === 'updatePost') {
+          // Keep the version of the first edit, since that's what we started from
+          existing.arg = {
+            ...existing.arg,
+            ...arg,
+            version: existing.arg.version,
+          }
+        } else if (kind === 'saveReactions') {
+          existing.arg.count += arg.count
+        }
+      },
+      prepare({ kind, arg, userId }) {
+        return {
+          payload: {
+            id: nanoid(),
+            kind,
+            arg,
+            userId,
+            queuedAt: new Date().toISOString(),
+            failedAttempts: 0,
+          },
+        }
+      },
+    },
+    // The server failed to handle the change, and it's tried again later
+    mutationFailed(state, action) {
+      const entry = state.outbox.find(({ id }) => id === action.payload)
+      if (entry) {
+        entry.failedAttempts++
+      }
+    },
+    // The server has the change now
+    mutationSent(state, action) {
+      state.outbox = state.outbox.filter((entry) => entry.id !== action.payload)
+    },
+    /* The server won't ever accept the change as it is, for example because
+      the post was edited by someone else in the meantime. The payload is
+      `{entry, error, savedAsDraft}`. */
+    mutationRefused(state, action) {
+      const { entry } = action.payload
+      state.outbox = state.outbox.filter(({ id }) => id !== entry.id)
+    },
+    // Handled by the offline listeners
+    outboxReplayRequested() {},
+    // A change couldn't be sent for now, so it and everything after it waits
+    outboxReplayStopped() {},
+  },
+})
+
+export const {
+  connectionChanged,
+  mutationQueued,
+  mutationFailed,
+  mutationSent,
+  mutationRefused,
+  outboxReplayRequested,
+  outboxReplayStopped,
+} = offlineSlice.actions
+
+export default offlineSlice.reducer
+
+export const selectIsOnline = (state) => state.offline.isOnline
+
+export const selectOutbox = (state) => state.offline.outbox
+
+// The changes `userId` made that haven't been sent yet, oldest first
+export const selectOutboxForUser = (userId) =>
+  createSelector([selectOutbox, (state) => userId], (outbox, userId) =>
+    outbox.filter((entry) => entry.userId === userId)
+  )
+
+/* New posts in the outbox, in the shape of a post, so they can be listed with
+  the others. They use the entry's ID, since the server hasn't given them one. */
+export const selectQueuedPostsForUser = (userId) =>
+  createSelector([selectOutboxForUser(userId)], (outbox) =>
+    outbox
+      .filter((entry) => entry.kind === 'addNewPost')
+      .map((entry) => ({
+        ...entry.arg,
+        id: entry.id,
+        user: entry.userId,
+        date: entry.queuedAt,
+      }))
+      .reverse()
+  )
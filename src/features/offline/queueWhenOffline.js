@@ -0,0 +1,59 @@
+import { ApiErrorCodes } from '../../api/client'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { mutationQueued, selectIsOnline } from './offlineSlice'
+
+// The arguments of the mutations that the outbox replay started
+const replayedArgs = new WeakSet()
+
+// Marks `arg` as coming from the outbox, so it's sent even if it fails again
+export const asReplay = (arg) => {
+  replayedArgs.add(arg)
+  return arg
+}
+
+export const isReplay = (arg) =>
+  typeof arg === 'object' && arg !== null && replayedArgs.has(arg)
+
+// Whether a fulfilled mutation action was put in the outbox instead of sent
+export const isQueued = (action) =>
+  Boolean(action.meta.baseQueryMeta && action.meta.baseQueryMeta.queued)
+
+/* Builds the `queryFn` of a mutation endpoint, so that the mutation is put in
+  the outbox when we're offline instead of failing. The same happens if the
+  request fails with a network error, because then it never reached the server
+  and it's safe to send again later.
+
+  `query(arg, state)` returns the request to send, like an endpoint's `query`
+  option. A queued mutation succeeds with `null` data and `queued` set in its
+  `meta.baseQueryMeta` (see isQueued()), so it can keep any optimistic changes
+  without a server response to apply. `prepareArg(arg, state)` can add anything
+  the outbox needs to send the change later on. */
+export const queueWhenOffline =
+  (kind, query, { prepareArg = (arg) => arg } = {}) =>
+  async (arg, { getState, dispatch }, extraOptions, baseQuery) => {
+    const queue = () => {
+      const state = getState()
+      dispatch(
+        mutationQueued({
+          kind,
+          arg: prepareArg(arg, state),
+          userId: selectCurrentUserId(state),
+        })
+      )
+      return { data: null, meta: { queued: true } }
+    }
+
+    const replay = isReplay(arg)
+    if (!replay && !selectIsOnline(getState())) {
+      return queue()
+    }
+    const result = await baseQuery(query(arg, getState()))
+    if (
+      !replay &&
+      result.error &&
+      result.error.code === ApiErrorCodes.NETWORK_ERROR
+    ) {
+      return queue()
+    }
+    return result
+  }
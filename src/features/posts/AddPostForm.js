@@ -1,65 +1,93 @@
-import { useState } from 'react'
-import { useDispatch, useSelector } from 'react-redux'
-import { selectAllUsers } from '../users/usersSlice'
-import { addNewPost } from './postsSlice'
+import { useMemo, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { Link, Prompt, useLocation } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { FieldError } from '../../components/FieldError'
+import { MarkdownEditor } from '../../components/MarkdownEditor'
+import { selectCurrentUserId, selectIsLoggedIn } from '../auth/authSlice'
+import { DraftNotice } from '../drafts/DraftNotice'
+import { usePostDraft } from '../drafts/usePostDraft'
+import { TagInput } from '../tags/TagInput'
+import { useAddNewPostMutation } from './postsSlice'
+import { usePostFormErrors } from './usePostFormErrors'
 
-export const AddPostForm = () => {
-  const [title, setTitle] = useState('')
-  const [content, setContent] = useState('')
-  const [userId, setUserId] = useState('')
+const emptyPost = { title: '', content: '', tags: [] }
+
+// Only rendered for logged in users, so that it picks up their own draft
+const NewPostEditor = () => {
+  const {
+    values,
+    setField,
+    isDirty,
+    restoredAt,
+    discardDraft,
+    clearDraft,
+    confirmLeave,
+  } = usePostDraft(null, emptyPost)
+  const { title, content, tags } = values
   const [addRequestStatus, setAddRequestStatus] = useState('idle')
+  const [addError, setAddError] = useState(null)
+
+  /* The generated mutation hook returns a "trigger" function that starts the 
+    request, and an object with the status of the latest one. */
+  const [addNewPost] = useAddNewPostMutation()
+  const userId = useSelector(selectCurrentUserId)
 
-  const dispatch = useDispatch()
+  // The author is part of the post as far as validation is concerned
+  const post = useMemo(() => ({ ...values, user: userId }), [values, userId])
+  const { fieldError, touch, validateForSubmit, showServerErrors, reset } =
+    usePostFormErrors(post)
 
-  const users = useSelector(selectAllUsers)
+  const changeField = (field, value) => {
+    touch(field)
+    setField(field, value)
+  }
 
-  const onTitleChanged = (e) => setTitle(e.target.value)
-  const onContentChanged = (e) => setContent(e.target.value)
-  const onAuthorChanged = (e) => setUserId(e.target.value)
+  const onTitleChanged = (e) => changeField('title', e.target.value)
+  const onContentChanged = (e) => changeField('content', e.target.value)
+  const onTagsChanged = (tags) => changeField('tags', tags)
 
-  const canSave =
-    [title, content, userId].every(Boolean) && addRequestStatus === 'idle'
+  const canSave = addRequestStatus === 'idle'
 
   const onSavePostClicked = async () => {
-    if (canSave) {
-      /* When we call dispatch(addNewPost()), the async thunk returns a Promise 
-        from dispatch. We can await that promise here to know when the thunk has 
-        finished its request. But, we don't yet know if that request succeeded or 
-        failed. createAsyncThunk() handles any errors internally, so that we don't 
-        see any messages about "rejected Promises" in our logs. It then returns the 
-        final action it dispatched: either the fulfilled action if it succeeded, or 
-        the rejected action if it failed.
+    if (canSave && validateForSubmit()) {
+      /* When we call addNewPost(), the trigger returns a Promise. We can await 
+        that promise here to know when the mutation has finished its request. But, 
+        we don't yet know if that request succeeded or failed. RTK Query handles 
+        any errors internally, so that we don't see any messages about "rejected 
+        Promises" in our logs. The promise resolves to `{data}` if it succeeded, 
+        or `{error}` if it failed.
 
         However, it's common to want to write logic that looks at the success or 
-        failure of the actual request that was made. Redux Toolkit adds a .unwrap() 
-        function to the returned Promise, which will return a new Promise that either 
-        has the actual action.payload value from a 'fulfilled' action, or throws an error 
-        if it's the 'rejected' action. This lets us handle success and failure in the 
-        component using normal try/catch logic. */
+        failure of the actual request that was made. Like the Promise returned when 
+        dispatching an async thunk, it has an .unwrap() function, which will return 
+        a new Promise that either has the data if it succeeded, or throws the error 
+        if it failed. This lets us handle success and failure in the component 
+        using normal try/catch logic. */
       try {
         setAddRequestStatus('pending')
-        // @ts-ignore
-        await dispatch(addNewPost({ title, content, user: userId })).unwrap()
-        setTitle('')
-        setContent('')
-        setUserId('')
+        setAddError(null)
+        // The server makes the logged in user the author
+        await addNewPost({ title, content, tags }).unwrap()
+        // This also empties the form
+        clearDraft()
+        reset()
       } catch (err) {
-        console.error('Failed to save the post: ', err)
+        // The draft is still saved, so nothing typed is lost
+        if (!showServerErrors(err)) {
+          setAddError(err)
+        }
       } finally {
         setAddRequestStatus('idle')
       }
     }
   }
 
-  const usersOptions = users.map((user) => (
-    <option key={user.id} value={user.id}>
-      {user.name}
-    </option>
-  ))
-
   return (
     <section>
       <h2>Add a New Post</h2>
+      <Prompt when={isDirty} message={confirmLeave} />
+      <DraftNotice savedAt={restoredAt} onDiscard={discardDraft} />
       <form>
         <label htmlFor="postTitle">Post Title:</label>
         <input
@@ -68,19 +96,24 @@ export const AddPostForm = () => {
           name="postTitle"
           value={title}
           onChange={onTitleChanged}
+          aria-invalid={Boolean(fieldError('title'))}
+          aria-describedby="postTitleError"
         />
-        <label htmlFor="postAuthor">Author:</label>
-        <select id="postAuthor" value={userId} onChange={onAuthorChanged}>
-          <option value=""></option>
-          {usersOptions}
-        </select>
+        <FieldError id="postTitleError" error={fieldError('title')} />
         <label htmlFor="postContent">Content:</label>
-        <textarea
+        <MarkdownEditor
           id="postContent"
           name="postContent"
           value={content}
           onChange={onContentChanged}
+          aria-describedby="postContentError"
         />
+        <FieldError id="postContentError" error={fieldError('content')} />
+        <label htmlFor="postTags">Tags:</label>
+        <TagInput id="postTags" tags={tags} onChange={onTagsChanged} />
+        <FieldError id="postTagsError" error={fieldError('tags')} />
+        <FieldError id="postUserError" error={fieldError('user')} />
+        <ApiErrorMessage error={addError} prefix="Failed to save the post: " />
         <button type="button" onClick={onSavePostClicked} disabled={!canSave}>
           Save Post
         </button>
@@ -88,3 +121,25 @@ export const AddPostForm = () => {
     </section>
   )
 }
+
+export const AddPostForm = () => {
+  const location = useLocation()
+  const isLoggedIn = useSelector(selectIsLoggedIn)
+
+  // Only logged in users can write posts
+  if (!isLoggedIn) {
+    return (
+      <section>
+        <h2>Add a New Post</h2>
+        <p>
+          <Link to={{ pathname: '/login', state: { from: location } }}>
+            Log in
+          </Link>{' '}
+          to write a post.
+        </p>
+      </section>
+    )
+  }
+
+  return <NewPostEditor />
+}
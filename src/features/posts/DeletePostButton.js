@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { useHistory } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { useDeletePostMutation } from './postsSlice'
+
+export const DeletePostButton = ({ post }) => {
+  // Deleting can't be undone, so the first click only asks for confirmation
+  const [isConfirming, setIsConfirming] = useState(false)
+  const [deleteRequestStatus, setDeleteRequestStatus] = useState('idle')
+  const [deleteError, setDeleteError] = useState(null)
+
+  const [deletePost] = useDeletePostMutation()
+  const history = useHistory()
+
+  const onConfirmClicked = async () => {
+    try {
+      setDeleteRequestStatus('pending')
+      setDeleteError(null)
+      await deletePost(post).unwrap()
+      history.push('/')
+    } catch (err) {
+      setDeleteError(err)
+      setDeleteRequestStatus('idle')
+    }
+  }
+
+  const isPending = deleteRequestStatus === 'pending'
+
+  if (!isConfirming) {
+    return (
+      <button
+        type="button"
+        className="button danger-button"
+        onClick={() => setIsConfirming(true)}
+      >
+        Delete Post
+      </button>
+    )
+  }
+
+  return (
+    <div className="delete-confirmation">
+      <span>Delete this post and its comments?</span>
+      <button
+        type="button"
+        className="button danger-button"
+        onClick={onConfirmClicked}
+        disabled={isPending}
+      >
+        {isPending ? 'Deleting...' : 'Yes, Delete'}
+      </button>
+      <button
+        type="button"
+        className="muted-button"
+        onClick={() => setIsConfirming(false)}
+        disabled={isPending}
+      >
+        Cancel
+      </button>
+      <ApiErrorMessage
+        error={deleteError}
+        prefix="Failed to delete the post: "
+      />
+    </div>
+  )
+}
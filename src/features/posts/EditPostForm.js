@@ -1,32 +1,79 @@
 import { useState } from 'react'
-import { useDispatch, useSelector } from 'react-redux'
-import { useHistory } from 'react-router-dom'
-import { postUpdated, selectPostById } from './postsSlice'
+import { useSelector } from 'react-redux'
+import { Prompt, useHistory } from 'react-router-dom'
+import { ApiErrorCodes } from '../../api/client'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { FieldError } from '../../components/FieldError'
+import { MarkdownEditor } from '../../components/MarkdownEditor'
+import { Spinner } from '../../components/Spinner'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { DraftNotice } from '../drafts/DraftNotice'
+import { usePostDraft } from '../drafts/usePostDraft'
+import { TagInput } from '../tags/TagInput'
+import { useUpdatePostMutation } from './postsSlice'
+import { usePost } from './usePost'
+import { usePostFormErrors } from './usePostFormErrors'
 
-export const EditPostForm = ({ match }) => {
-  const { postId } = match.params
-
-  const post = useSelector(selectPostById(postId))
+// The form itself is only rendered once the post is loaded, so that its
+// fields can start out with the post's current values
+const PostEditor = ({ post }) => {
+  const postId = post.id
 
-  const [title, setTitle] = useState(post.title)
-  const [content, setContent] = useState(post.content)
+  const {
+    values,
+    setField,
+    isDirty,
+    restoredAt,
+    discardDraft,
+    clearDraft,
+    confirmLeave,
+  } = usePostDraft(postId, post)
+  const { title, content, tags } = values
+  const [updateRequestStatus, setUpdateRequestStatus] = useState('idle')
+  const [updateError, setUpdateError] = useState(null)
 
-  const dispatch = useDispatch()
+  const [updatePost] = useUpdatePostMutation()
   const history = useHistory()
 
-  const onTitleChanged = (e) => setTitle(e.target.value)
-  const onContentChanged = (e) => setContent(e.target.value)
+  // Edits can't change the author, so only the edited fields are checked
+  const { fieldError, touch, validateForSubmit, showServerErrors } =
+    usePostFormErrors(values)
+
+  const changeField = (field, value) => {
+    touch(field)
+    setField(field, value)
+  }
+
+  const onTitleChanged = (e) => changeField('title', e.target.value)
+  const onContentChanged = (e) => changeField('content', e.target.value)
+  const onTagsChanged = (tags) => changeField('tags', tags)
 
-  const onSavePostClicked = () => {
-    if (title && content) {
-      dispatch(postUpdated({ postId, title, content }))
-      history.push(`/posts/${postId}`)
+  const canSave = updateRequestStatus === 'idle'
+
+  const onSavePostClicked = async () => {
+    if (canSave && validateForSubmit()) {
+      try {
+        setUpdateRequestStatus('pending')
+        setUpdateError(null)
+        await updatePost({ id: postId, title, content, tags }).unwrap()
+        clearDraft()
+        history.push(`/posts/${postId}`)
+      } catch (err) {
+        // The optimistic edit has been rolled back, so stay on the form. The
+        // draft keeps the changes if the user leaves anyway.
+        if (!showServerErrors(err)) {
+          setUpdateError(err)
+        }
+        setUpdateRequestStatus('idle')
+      }
     }
   }
 
   return (
     <section>
       <h2>Edit Post</h2>
+      <Prompt when={isDirty} message={confirmLeave} />
+      <DraftNotice savedAt={restoredAt} onDiscard={discardDraft} />
       <form>
         <label htmlFor="postTitle">Post Title:</label>
         <input
@@ -36,18 +83,70 @@ export const EditPostForm = ({ match }) => {
           placeholder="What's on your mind?"
           value={title}
           onChange={onTitleChanged}
+          aria-invalid={Boolean(fieldError('title'))}
+          aria-describedby="postTitleError"
         />
+        <FieldError id="postTitleError" error={fieldError('title')} />
         <label htmlFor="postContent">Content:</label>
-        <textarea
+        <MarkdownEditor
           id="postContent"
           name="postContent"
           value={content}
           onChange={onContentChanged}
+          aria-describedby="postContentError"
         />
+        <FieldError id="postContentError" error={fieldError('content')} />
+        <label htmlFor="postTags">Tags:</label>
+        <TagInput id="postTags" tags={tags} onChange={onTagsChanged} />
+        <FieldError id="postTagsError" error={fieldError('tags')} />
       </form>
-      <button type="button" onClick={onSavePostClicked}>
-        Save Post
+      <ApiErrorMessage error={updateError} prefix="Failed to save the post: " />
+      <button type="button" onClick={onSavePostClicked} disabled={!canSave}>
+        {updateRequestStatus === 'pending' ? 'Saving...' : 'Save Post'}
       </button>
     </section>
   )
 }
+
+export const EditPostForm = ({ match }) => {
+  const { postId } = match.params
+
+  const currentUserId = useSelector(selectCurrentUserId)
+  const { post, isFetching, error, refetch } = usePost(postId)
+
+  if (!post) {
+    if (isFetching) {
+      return <Spinner text="Loading..." />
+    }
+
+    if (error.code === ApiErrorCodes.NOT_FOUND) {
+      return (
+        <section>
+          <h2>Post not found!</h2>
+        </section>
+      )
+    }
+
+    return (
+      <section>
+        <h2>Couldn't load this post</h2>
+        <ApiErrorMessage error={error} />
+        <button type="button" className="button" onClick={refetch}>
+          Retry
+        </button>
+      </section>
+    )
+  }
+
+  // The route guard makes sure someone is logged in, but it has to be the author
+  if (post.user !== currentUserId) {
+    return (
+      <section>
+        <h2>You can't edit this post</h2>
+        <p>Only the author of a post can edit it.</p>
+      </section>
+    )
+  }
+
+  return <PostEditor post={post} />
+}
@@ -0,0 +1,101 @@
+import React from 'react'
+import { useSelector } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { Spinner } from '../../components/Spinner'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { FollowButton } from '../users/FollowButton'
+import { selectAllUsers, selectFollowedUserIds } from '../users/usersSlice'
+import {
+  postsListKey,
+  selectHasMorePosts,
+  selectPostIds,
+  useGetPostsQuery,
+} from './postsSlice'
+import { NextPageLoader, PostExcerpt, PostsListError } from './PostsList'
+
+const MAX_SUGGESTIONS = 3
+
+// Offers a few of the users the current user doesn't follow yet
+const FollowSuggestions = () => {
+  const currentUserId = useSelector(selectCurrentUserId)
+  const followedUserIds = useSelector(selectFollowedUserIds)
+  const users = useSelector(selectAllUsers)
+
+  const suggestions = users
+    .filter(
+      (user) => user.id !== currentUserId && !followedUserIds.includes(user.id)
+    )
+    .slice(0, MAX_SUGGESTIONS)
+
+  if (!suggestions.length) {
+    return null
+  }
+
+  return (
+    <div className="follow-suggestions">
+      <h3>People you might like</h3>
+      <ul>
+        {suggestions.map((user) => (
+          <li key={user.id} className="users-list-item">
+            <Link to={`/users/${user.id}`}>{user.name}</Link>
+            <FollowButton userId={user.id} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/* Pages through the posts written by people the current user follows, like 
+  <PostsList> does for all posts. The server picks the posts, so every page is 
+  full even when the people we follow haven't posted in a while. */
+export const FollowingFeed = () => {
+  const currentUserId = useSelector(selectCurrentUserId)
+  const followedUserIds = useSelector(selectFollowedUserIds)
+  const list = postsListKey({ followedBy: currentUserId })
+  const postIds = useSelector(selectPostIds(list))
+  const hasMore = useSelector(selectHasMorePosts(list))
+  // Nobody's posts would be listed until the user follows someone
+  const { currentData, isFetching, isError, error, refetch } = useGetPostsQuery(
+    list,
+    { skip: !followedUserIds.length }
+  )
+
+  let content
+
+  if (!followedUserIds.length) {
+    content = (
+      <React.Fragment>
+        <p>You're not following anyone yet.</p>
+        <FollowSuggestions />
+      </React.Fragment>
+    )
+  } else if (currentData) {
+    content = (
+      <React.Fragment>
+        {isError && <PostsListError error={error} onRetry={refetch} />}
+        {postIds.map((postId) => (
+          <PostExcerpt key={postId} postId={postId} list={list} />
+        ))}
+        {!postIds.length && !hasMore && (
+          <React.Fragment>
+            <p>The people you follow haven't posted anything yet.</p>
+            <FollowSuggestions />
+          </React.Fragment>
+        )}
+        <NextPageLoader list={list} />
+      </React.Fragment>
+    )
+  } else if (isFetching) {
+    content = <Spinner text="Loading..." />
+  } else if (isError) {
+    content = <PostsListError error={error} onRetry={refetch} />
+  }
+
+  return (
+    <section className="posts-list">
+      <h2>Following</h2>
+      {content}
+    </section>
+  )
+}
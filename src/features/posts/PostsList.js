@@ -1,14 +1,32 @@
-import React, { useEffect } from 'react'
-import { useDispatch, useSelector } from 'react-redux'
-import { Link } from 'react-router-dom'
+import React, { useEffect, useMemo, useRef } from 'react'
+import { useSelector } from 'react-redux'
+import { Link, useLocation } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { markdownExcerpt } from '../../components/Markdown'
 import { Spinner } from '../../components/Spinner'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { selectQueuedPostsForUser } from '../offline/offlineSlice'
+import { PostTags } from '../tags/PostTags'
 import { PostAuthor } from './PostAuthor'
-import { fetchPosts, selectPostById, selectPostIds } from './postsSlice'
+import {
+  postsListKey,
+  selectPostById,
+  selectPostIds,
+  useGetPostsQuery,
+  useLazyGetPostsPageQuery,
+} from './postsSlice'
+import { PostsListControls } from './PostsListControls'
+import {
+  getPostsViewFilters,
+  isDefaultPostsView,
+  parsePostsView,
+} from './postsView'
 import { ReactionButtons } from './ReactionButtons'
 import { TimeAgo } from './TimeAgo'
 
-let PostExcerpt = ({ postId }) => {
-  const post = useSelector(selectPostById(postId))
+// `list` is the key of the posts list the post is in, if it's not the main one
+export let PostExcerpt = ({ postId, list }) => {
+  const post = useSelector(selectPostById(postId, list))
   return (
     <article className="post-excerpt" key={post.id}>
       <h3>{post.title}</h3>
@@ -16,9 +34,13 @@ let PostExcerpt = ({ postId }) => {
         <PostAuthor userId={post.user} />
         <TimeAgo timestamp={post.date} />
       </div>
-      <p className="post-content">{post.content.substring(0, 100)}</p>
+      <p className="post-content">{markdownExcerpt(post.content)}</p>
+      <PostTags tags={post.tags} />
 
       <ReactionButtons post={post} />
+      <span className="comment-count">
+        {post.commentCount} {post.commentCount === 1 ? 'comment' : 'comments'}
+      </span>
       <Link to={`/posts/${post.id}`} className="button muted-button">
         View Post
       </Link>
@@ -46,36 +68,136 @@ let PostExcerpt = ({ postId }) => {
   the component inside of it only re-renders if the props have actually changed.*/
 PostExcerpt = React.memo(PostExcerpt)
 
-export const PostsList = () => {
-  const dispatch = useDispatch()
-  const orderedPostIds = useSelector(selectPostIds)
-  // @ts-ignore
-  const error = useSelector((state) => state.posts.error)
+/* A new post that's waiting in the outbox. The server hasn't seen it yet, so it
+  has no reactions or comments, and no page of its own to link to. */
+export const PendingPostExcerpt = ({ post }) => (
+  <article className="post-excerpt post-excerpt-pending">
+    <h3>
+      {post.title} <span className="pending-label">Pending</span>
+    </h3>
+    <div>
+      <PostAuthor userId={post.user} />
+      <TimeAgo timestamp={post.date} />
+    </div>
+    <p className="post-content">{markdownExcerpt(post.content)}</p>
+    <PostTags tags={post.tags} />
+    <p className="pending-note">
+      This post will be published when you're back online.
+    </p>
+  </article>
+)
+
+/* Shows why the posts list couldn't be fetched, with a button to try again */
+export const PostsListError = ({ error, onRetry }) => (
+  <div className="posts-list-error">
+    <ApiErrorMessage error={error} />
+    <button type="button" className="button" onClick={onRetry}>
+      Retry
+    </button>
+  </div>
+)
+
+/* Shows the status of the page after the ones already listed: a spinner while 
+  it loads, or the error and a retry button if it failed. It also watches the end 
+  of the list, so that the next page is requested as soon as the user scrolls 
+  down to it. While the whole list is being fetched again, such as right after 
+  a reload, it says so instead. The list is given by its `postsListKey()`. */
+export const NextPageLoader = ({ list = '' }) => {
+  const { currentData, isFetching: isRefreshing } = useGetPostsQuery(list)
+  const nextCursor = currentData ? currentData.nextCursor : null
+  /* A lazy query only runs when we call its trigger, and always sends the 
+    request, even if a page with the same cursor is still cached. The page has 
+    to be added to the posts list again in case the list was fetched since. */
+  const [loadPage, { isFetching, isError, error, originalArgs }] =
+    useLazyGetPostsPageQuery()
+  const sentinelRef = useRef(null)
 
-  // @ts-ignore
-  const postStatus = useSelector((state) => state.posts.status)
+  const canLoadMore = Boolean(nextCursor) && !isFetching && !isRefreshing
 
   useEffect(() => {
-    if (postStatus === 'idle') {
-      dispatch(fetchPosts())
+    const sentinel = sentinelRef.current
+    if (!canLoadMore || !sentinel) {
+      return
     }
-  }, [postStatus, dispatch])
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        loadPage({ list, cursor: nextCursor })
+      }
+    })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [canLoadMore, list, nextCursor, loadPage])
+
+  // The last page we asked for may have been for another list
+  const isNextPage =
+    Boolean(originalArgs) &&
+    originalArgs.list === list &&
+    originalArgs.cursor === nextCursor
+
+  if (isRefreshing) {
+    return <Spinner text="Refreshing..." size="3em" />
+  } else if (isFetching) {
+    return <Spinner text="Loading more posts..." size="3em" />
+  } else if (isError && isNextPage) {
+    return (
+      <PostsListError
+        error={error}
+        onRetry={() => loadPage({ list, cursor: nextCursor })}
+      />
+    )
+  }
+
+  return <div ref={sentinelRef} className="posts-list-end" />
+}
+
+export const PostsList = () => {
+  const location = useLocation()
+  const view = useMemo(() => parsePostsView(location.search), [location.search])
+  // The server sorts and filters the posts, so each view has its own list
+  const list = postsListKey(getPostsViewFilters(view))
+  const orderedPostIds = useSelector(selectPostIds(list))
+  const currentUserId = useSelector(selectCurrentUserId)
+  const queuedPosts = useSelector(selectQueuedPostsForUser(currentUserId))
+
+  /* The generated hook fetches the posts when the component mounts, or when 
+    the view changes, unless they're already cached, and re-renders it as the 
+    request progresses. `currentData` is only set once this view's list has 
+    been fetched, where `data` would still have the last view's posts. */
+  const { currentData, isFetching, isError, error, refetch } =
+    useGetPostsQuery(list)
 
   let content
 
-  if (postStatus === 'loading') {
+  /* Posts restored from the last visit are shown right away. <NextPageLoader> 
+    then shows that they're being refreshed. If fetching them again fails, they 
+    stay listed under the error. */
+  if (currentData) {
+    content = (
+      <React.Fragment>
+        {isError && <PostsListError error={error} onRetry={refetch} />}
+        {orderedPostIds.map((postId) => (
+          <PostExcerpt key={postId} postId={postId} list={list} />
+        ))}
+        {!orderedPostIds.length && !isDefaultPostsView(view) && (
+          <p>No posts match these filters.</p>
+        )}
+        <NextPageLoader list={list} />
+      </React.Fragment>
+    )
+  } else if (isFetching) {
     content = <Spinner text="Loading..." />
-  } else if (postStatus === 'succeeded') {
-    content = orderedPostIds.map((postId) => (
-      <PostExcerpt key={postId} postId={postId} />
-    ))
-  } else if (postStatus === 'failed') {
-    content = <div>{error}</div>
+  } else if (isError) {
+    content = <PostsListError error={error} onRetry={refetch} />
   }
 
   return (
     <section className="posts-list">
       <h2>Posts</h2>
+      <PostsListControls view={view} />
+      {queuedPosts.map((post) => (
+        <PendingPostExcerpt key={post.id} post={post} />
+      ))}
       {content}
     </section>
   )
@@ -0,0 +1,85 @@
+import { useSelector } from 'react-redux'
+import { useHistory, useLocation } from 'react-router-dom'
+import { selectAllUsers } from '../users/usersSlice'
+import {
+  DEFAULT_POSTS_VIEW,
+  isDefaultPostsView,
+  POST_SORTS,
+  stringifyPostsView,
+} from './postsView'
+
+// Edits the view in the query string. <PostsList> reads it back from there.
+export const PostsListControls = ({ view }) => {
+  const history = useHistory()
+  const location = useLocation()
+  const users = useSelector(selectAllUsers)
+
+  const changeView = (changes) => {
+    history.replace({
+      pathname: location.pathname,
+      search: stringifyPostsView({ ...view, ...changes }),
+    })
+  }
+
+  const sortOptions = Object.entries(POST_SORTS).map(([value, label]) => (
+    <option key={value} value={value}>
+      {label}
+    </option>
+  ))
+
+  const authorOptions = users.map((user) => (
+    <option key={user.id} value={user.id}>
+      {user.name}
+    </option>
+  ))
+
+  return (
+    <form className="posts-list-controls">
+      <label>
+        Sort by
+        <select
+          value={view.sort}
+          onChange={(e) => changeView({ sort: e.target.value })}
+        >
+          {sortOptions}
+        </select>
+      </label>
+      <label>
+        Author
+        <select
+          value={view.author}
+          onChange={(e) => changeView({ author: e.target.value })}
+        >
+          <option value="">Anyone</option>
+          {authorOptions}
+        </select>
+      </label>
+      <label>
+        From
+        <input
+          type="date"
+          value={view.from}
+          max={view.to || undefined}
+          onChange={(e) => changeView({ from: e.target.value })}
+        />
+      </label>
+      <label>
+        To
+        <input
+          type="date"
+          value={view.to}
+          min={view.from || undefined}
+          onChange={(e) => changeView({ to: e.target.value })}
+        />
+      </label>
+      <button
+        type="button"
+        className="muted-button"
+        onClick={() => changeView(DEFAULT_POSTS_VIEW)}
+        disabled={isDefaultPostsView(view)}
+      >
+        Reset
+      </button>
+    </form>
+  )
+}
@@ -1,7 +1,8 @@
-import { useDispatch } from 'react-redux'
-import { reactionAdded } from './postsSlice'
+import { useDispatch, useSelector } from 'react-redux'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { addReaction, selectReactionError } from './postsSlice'
 
-const reactionEmoji = {
+export const reactionEmoji = {
   thumbsUp: '👍',
   hooray: '🎉',
   heart: '❤️',
@@ -12,6 +13,7 @@ const reactionEmoji = {
 export const ReactionButtons = ({ post }) => {
   //console.log(post)
   const dispatch = useDispatch()
+  const reactionError = useSelector(selectReactionError(post.id))
 
   const reactionButtons = Object.entries(reactionEmoji).map(([name, emoji]) => {
     return (
@@ -20,7 +22,7 @@ export const ReactionButtons = ({ post }) => {
         type="button"
         className="muted-button reaction-button"
         onClick={() =>
-          dispatch(reactionAdded({ postId: post.id, reaction: name }))
+          dispatch(addReaction({ postId: post.id, reaction: name }))
         }
       >
         {emoji} {post.reactions[name]}
@@ -28,5 +30,13 @@ export const ReactionButtons = ({ post }) => {
     )
   })
 
-  return <div>{reactionButtons}</div>
+  return (
+    <div>
+      {reactionButtons}
+      <ApiErrorMessage
+        error={reactionError}
+        prefix="Failed to save your reaction: "
+      />
+    </div>
+  )
 }
@@ -1,19 +1,45 @@
+import React from 'react'
 import { useSelector } from 'react-redux'
 import { Link } from 'react-router-dom'
+import { ApiErrorCodes } from '../../api/client'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { Markdown } from '../../components/Markdown'
+import { Spinner } from '../../components/Spinner'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { CommentsList } from '../comments/CommentsList'
+import { PostTags } from '../tags/PostTags'
+import { DeletePostButton } from './DeletePostButton'
 import { PostAuthor } from './PostAuthor'
-import { selectPostById } from './postsSlice'
 import { ReactionButtons } from './ReactionButtons'
 import { TimeAgo } from './TimeAgo'
+import { usePost } from './usePost'
 
 export const SinglePostPage = ({ match }) => {
   const { postId } = match.params
 
-  const post = useSelector(selectPostById(postId))
+  const currentUserId = useSelector(selectCurrentUserId)
+  const { post, isFetching, error, refetch } = usePost(postId)
 
   if (!post) {
+    if (isFetching) {
+      return <Spinner text="Loading..." />
+    }
+
+    if (error.code === ApiErrorCodes.NOT_FOUND) {
+      return (
+        <section>
+          <h2>Post not found!</h2>
+        </section>
+      )
+    }
+
     return (
       <section>
-        <h2>Post not found!</h2>
+        <h2>Couldn't load this post</h2>
+        <ApiErrorMessage error={error} />
+        <button type="button" className="button" onClick={refetch}>
+          Retry
+        </button>
       </section>
     )
   }
@@ -24,12 +50,20 @@ export const SinglePostPage = ({ match }) => {
         <h2>{post.title}</h2>
         <PostAuthor userId={post.user} />
         <TimeAgo timestamp={post.date} />
-        <p className="post-content">{post.content}</p>
+        <Markdown source={post.content} className="post-content" />
+        <PostTags tags={post.tags} />
         <ReactionButtons post={post} />
-        <Link to={`/editPost/${post.id}`} className="button">
-          Edit Post
-        </Link>
+        {/* Only the author gets to change the post */}
+        {currentUserId && post.user === currentUserId && (
+          <React.Fragment>
+            <Link to={`/editPost/${post.id}`} className="button">
+              Edit Post
+            </Link>
+            <DeletePostButton post={post} />
+          </React.Fragment>
+        )}
       </article>
+      <CommentsList postId={post.id} />
     </section>
   )
 }
@@ -0,0 +1,112 @@
+/* The rules a post has to follow. They're shared by the post forms, which check 
+  them as the user types, and by the mock server, which enforces them and 
+  responds with a 422 listing the invalid fields. Keeping one copy means the 
+  forms and the server can't disagree about what's valid. */
+
+export const POST_LIMITS = {
+  titleMaxLength: 120,
+  contentMaxLength: 5000,
+  maxTags: 5,
+  tagMaxLength: 24,
+}
+
+// Tags are kept lowercase, with dashes instead of spaces, so that "Code Review"
+// and "code-review" are the same tag
+export const normalizeTag = (tag) =>
+  tag
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+
+// Normalizes the tags and drops empty and duplicate ones
+export const normalizeTags = (tags) => [
+  ...new Set(tags.map(normalizeTag).filter(Boolean)),
+]
+
+const checkText = (value, label, maxLength) => {
+  if (typeof value !== 'string') {
+    return `The ${label} must be text`
+  }
+  const length = value.trim().length
+  if (!length) {
+    return `The ${label} can't be blank`
+  }
+  if (length > maxLength) {
+    return `The ${label} can be at most ${maxLength} characters (it has ${length})`
+  }
+  return null
+}
+
+const checkTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    return 'The tags must be a list of words'
+  }
+  const normalized = normalizeTags(tags)
+  if (normalized.length > POST_LIMITS.maxTags) {
+    return `A post can have at most ${POST_LIMITS.maxTags} tags`
+  }
+  const tooLong = normalized.find(
+    (tag) => tag.length > POST_LIMITS.tagMaxLength
+  )
+  if (tooLong) {
+    return `Tags can be at most ${POST_LIMITS.tagMaxLength} characters ("${tooLong}" is too long)`
+  }
+  return null
+}
+
+/* Returns an object mapping the names of invalid fields to what's wrong with 
+  them, which is empty if the post is valid.
+
+  - `partial`: only check the fields that are present, as for an edit
+  - `userExists`: if given, `post.user` must be an ID it returns true for */
+export const validatePost = (post, { partial = false, userExists } = {}) => {
+  const errors = {}
+  const shouldCheck = (field) => !partial || post[field] !== undefined
+
+  if (shouldCheck('title')) {
+    const error = checkText(post.title, 'title', POST_LIMITS.titleMaxLength)
+    if (error) {
+      errors.title = error
+    }
+  }
+  if (shouldCheck('content')) {
+    const error = checkText(
+      post.content,
+      'content',
+      POST_LIMITS.contentMaxLength
+    )
+    if (error) {
+      errors.content = error
+    }
+  }
+  // Tags are optional, even for a new post
+  if (post.tags !== undefined) {
+    const error = checkTags(post.tags)
+    if (error) {
+      errors.tags = error
+    }
+  }
+  if (userExists && shouldCheck('user') && !userExists(post.user)) {
+    errors.user = 'The author must be an existing user'
+  }
+
+  return errors
+}
+
+export const isValidPost = (errors) => Object.keys(errors).length === 0
+
+// The values to store for a valid post: trimmed text and normalized tags
+export const cleanPost = (post) => {
+  const cleaned = {}
+  if (post.title !== undefined) {
+    cleaned.title = post.title.trim()
+  }
+  if (post.content !== undefined) {
+    cleaned.content = post.content.trim()
+  }
+  if (post.tags !== undefined) {
+    cleaned.tags = normalizeTags(post.tags)
+  }
+  return cleaned
+}
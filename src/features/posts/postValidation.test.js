@@ -0,0 +1,120 @@
+import {
+  POST_LIMITS,
+  cleanPost,
+  isValidPost,
+  normalizeTag,
+  normalizeTags,
+  validatePost,
+} from './postValidation'
+
+const validPost = { title: 'A title', content: 'Some content', tags: ['news'] }
+
+describe('normalizeTag', () => {
+  it('lowercases, dashes spaces and drops other characters', () => {
+    expect(normalizeTag('  Code Review! ')).toBe('code-review')
+    expect(normalizeTag('C++')).toBe('c')
+  })
+})
+
+describe('normalizeTags', () => {
+  it('drops empty and duplicate tags', () => {
+    expect(normalizeTags(['News', 'news', ' ', '!!', 'code review'])).toEqual([
+      'news',
+      'code-review',
+    ])
+  })
+})
+
+describe('validatePost', () => {
+  it('accepts a valid post', () => {
+    const errors = validatePost(validPost)
+    expect(errors).toEqual({})
+    expect(isValidPost(errors)).toBe(true)
+  })
+
+  it('requires a title and content that are not blank', () => {
+    const errors = validatePost({ title: '   ', content: '\n' })
+    expect(errors).toEqual({
+      title: "The title can't be blank",
+      content: "The content can't be blank",
+    })
+    expect(isValidPost(errors)).toBe(false)
+  })
+
+  it('requires the fields to be text', () => {
+    expect(validatePost({ title: 42, content: null })).toEqual({
+      title: 'The title must be text',
+      content: 'The content must be text',
+    })
+  })
+
+  it('limits the length of the trimmed title and content', () => {
+    const maxTitle = 'a'.repeat(POST_LIMITS.titleMaxLength)
+    expect(validatePost({ ...validPost, title: ` ${maxTitle} ` })).toEqual({})
+
+    const errors = validatePost({
+      title: `${maxTitle}a`,
+      content: 'a'.repeat(POST_LIMITS.contentMaxLength + 1),
+    })
+    expect(errors.title).toBe(
+      `The title can be at most ${
+        POST_LIMITS.titleMaxLength
+      } characters (it has ${POST_LIMITS.titleMaxLength + 1})`
+    )
+    expect(errors.content).toMatch(/at most/)
+  })
+
+  it('only checks the fields that are present for a partial post', () => {
+    expect(validatePost({ title: 'New title' }, { partial: true })).toEqual({})
+    expect(validatePost({ content: '' }, { partial: true })).toEqual({
+      content: "The content can't be blank",
+    })
+  })
+
+  it('treats tags as optional, but checks them when given', () => {
+    expect(validatePost({ title: 'a', content: 'b' })).toEqual({})
+    expect(validatePost({ ...validPost, tags: 'news' }).tags).toBe(
+      'The tags must be a list of words'
+    )
+    expect(validatePost({ ...validPost, tags: ['news', 1] }).tags).toBe(
+      'The tags must be a list of words'
+    )
+  })
+
+  it('counts the tags after normalizing them', () => {
+    const tags = ['a', 'b', 'c', 'd', 'e']
+    expect(validatePost({ ...validPost, tags: [...tags, 'A', ' '] })).toEqual(
+      {}
+    )
+    expect(validatePost({ ...validPost, tags: [...tags, 'f'] }).tags).toBe(
+      `A post can have at most ${POST_LIMITS.maxTags} tags`
+    )
+  })
+
+  it('limits the length of each tag', () => {
+    const longTag = 'a'.repeat(POST_LIMITS.tagMaxLength + 1)
+    expect(validatePost({ ...validPost, tags: [longTag] }).tags).toMatch(
+      `("${longTag}" is too long)`
+    )
+  })
+
+  it('checks the author only when asked to', () => {
+    const post = { ...validPost, user: 'nobody' }
+    expect(validatePost(post)).toEqual({})
+    expect(validatePost(post, { userExists: (id) => id === 'u1' })).toEqual({
+      user: 'The author must be an existing user',
+    })
+    expect(
+      validatePost({ ...post, user: 'u1' }, { userExists: (id) => id === 'u1' })
+    ).toEqual({})
+  })
+})
+
+describe('cleanPost', () => {
+  it('trims the text and normalizes the tags of the fields given', () => {
+    expect(
+      cleanPost({ title: ' Title ', content: ' Text\n', tags: ['A b', 'a-B'] })
+    ).toEqual({ title: 'Title', content: 'Text', tags: ['a-b'] })
+    expect(cleanPost({ content: ' Text ' })).toEqual({ content: 'Text' })
+  })
+})
@@ -1,11 +1,11 @@
-import { client } from '../../api/client'
-
-const {
-  createSlice,
-  createAsyncThunk,
-  createSelector,
+import {
   createEntityAdapter,
-} = require('@reduxjs/toolkit')
+  createSelector,
+  createSlice,
+  isAnyOf,
+} from '@reduxjs/toolkit'
+import { apiSlice } from '../api/apiSlice'
+import { isReplay, queueWhenOffline } from '../offline/queueWhenOffline'
 
 /* "Normalized state" means that:
 
@@ -68,105 +68,429 @@ const {
   {ids: [], entities: {}} object. You can pass in more fields to getInitialState, and 
   those will be merged in. */
 
-const postsAdapter = createEntityAdapter({
-  sortComparer: (a, b) => b.date.localeCompare(a.date),
-})
+// The server sorts the posts, so the adapter keeps them in the order they arrive
+const postsAdapter = createEntityAdapter()
 
-const initialState = postsAdapter.getInitialState({
-  status: 'idle',
-  error: null,
-})
+// How many posts to ask the server for at a time
+export const POSTS_PAGE_SIZE = 5
+
+/* The server filters the posts it lists with the query string, so a list's key 
+  is the query string for its filters, like `author=user1`. The list of all 
+  posts has the key `''`. */
+export const postsListKey = (filters = {}) =>
+  new URLSearchParams(
+    Object.entries(filters)
+      .filter(([, value]) => value)
+      .sort(([a], [b]) => a.localeCompare(b))
+  ).toString()
+
+/* Each posts list is cached under its key as the adapter's `{ids, entities}` 
+  plus the `nextCursor` the server gave us for the page after the ones we 
+  have. */
+const initialPostsData = postsAdapter.getInitialState({ nextCursor: null })
+
+// Reaction clicks that have been applied locally but not saved yet
+const unsavedReactionsFor = (state, postId) =>
+  state.posts.unsavedReactions[postId] || {}
+
+/* The server's counts are the source of truth, but they don't include clicks 
+  that are still waiting to be sent or in flight, so we add those back to 
+  whatever we fetch. */
+const withUnsavedReactions = (state, post) => {
+  const reactions = { ...post.reactions }
+  Object.entries(unsavedReactionsFor(state, post.id)).forEach(
+    ([reaction, count]) => {
+      reactions[reaction] += count
+    }
+  )
+  return { ...post, reactions }
+}
 
-export const addNewPost = createAsyncThunk(
-  'posts/addNewPost',
-  // The payload creator receives the partial `{title, content, user}` object
-  async (initialPost) => {
-    // We send the initial data to the fake API server
-    const response = await client.post('/fakeApi/posts', initialPost)
-    // The response includes the complete post object, including unique ID
-    return response.data
+/* Fetches a page of the posts list with the key `list`. The response is 
+  `{posts, nextCursor}`. */
+const fetchPostsPage = async ({ limit, cursor, list }, getState, baseQuery) => {
+  let url = `/posts?limit=${limit}`
+  if (list) {
+    url += `&${list}`
+  }
+  if (cursor) {
+    url += `&cursor=${encodeURIComponent(cursor)}`
+  }
+  const result = await baseQuery(url)
+  if (result.error) {
+    return result
+  }
+  const { posts, nextCursor } = result.data
+  return {
+    data: {
+      posts: posts.map((post) => withUnsavedReactions(getState(), post)),
+      nextCursor,
+    },
+  }
+}
+
+// The version of a post we have, so the server can tell if an edit is stale
+const selectCachedPostVersion = (state, postId) => {
+  const post =
+    postsApi.endpoints.getPost.select(postId)(state).data ||
+    selectPostById(postId)(state)
+  return post ? post.version : undefined
+}
+
+/* Applies `recipe` to a post everywhere it's cached: in each posts list, and as 
+  a single post. Returns the patches, so the change can be undone. The lists 
+  are found by their `LIST` tag, since the tags of the posts a list got from 
+  later pages aren't recorded. */
+const updateCachedPost = (postId, recipe) => (dispatch, getState) =>
+  postsApi.util
+    .selectInvalidatedBy(getState(), [{ type: 'Post', id: 'LIST' }])
+    .filter(({ endpointName }) => endpointName === 'getPosts')
+    .map(({ originalArgs }) =>
+      dispatch(
+        postsApi.util.updateQueryData('getPosts', originalArgs, (draft) => {
+          const post = draft.entities[postId]
+          if (post) {
+            recipe(post)
+          }
+        })
+      )
+    )
+    .concat(dispatch(postsApi.util.updateQueryData('getPost', postId, recipe)))
+
+/* Some lists change even though none of their posts did. A tag's list is 
+  refetched when any post's tags change, since a post may have been tagged 
+  since, and the "Following" feed when the current user follows or unfollows 
+  someone. */
+const provideFilterTags = (list) => {
+  const filters = new URLSearchParams(list)
+  const tags = []
+  if (filters.has('tag')) {
+    tags.push({ type: 'Tag', id: filters.get('tag') })
+  }
+  if (filters.has('followedBy')) {
+    tags.push({ type: 'Post', id: 'FOLLOWING' })
   }
-)
+  return tags
+}
 
-export const fetchPosts = createAsyncThunk('posts/fetchPosts', async () => {
-  const response = await client.get('/fakeApi/posts')
-  return response.data
+export const postsApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /* Receives the key of a posts list. The first time, this fetches the 
+      first page. Later pages are added by getPostsPage, so when the list is 
+      fetched again, we ask for as many posts as it has now, and the user keeps 
+      their place in it. Each post is provided under its ID, so changing any of 
+      them refetches the list. */
+    getPosts: builder.query({
+      async queryFn(list, { getState }, extraOptions, baseQuery) {
+        const { data } = postsApi.endpoints.getPosts.select(list)(getState())
+        const limit = Math.max(POSTS_PAGE_SIZE, data ? data.ids.length : 0)
+        const result = await fetchPostsPage(
+          { limit, list },
+          getState,
+          baseQuery
+        )
+        if (result.error) {
+          return result
+        }
+        const { posts, nextCursor } = result.data
+        return {
+          data: postsAdapter.setAll(
+            postsAdapter.getInitialState({ nextCursor }),
+            posts
+          ),
+        }
+      },
+      providesTags: (result = initialPostsData, error, list) => [
+        { type: 'Post', id: 'LIST' },
+        ...result.ids.map((id) => ({ type: 'Post', id })),
+        ...provideFilterTags(list),
+      ],
+    }),
+    /* Receives `{list, cursor}`. Fetches the page after `cursor` and adds it 
+      to the cached posts list with the key `list`. Nothing reads this 
+      endpoint's own data, so it provides no tags. */
+    getPostsPage: builder.query({
+      queryFn: ({ list, cursor }, { getState }, extraOptions, baseQuery) =>
+        fetchPostsPage(
+          { limit: POSTS_PAGE_SIZE, cursor, list },
+          getState,
+          baseQuery
+        ),
+      async onQueryStarted({ list }, { dispatch, queryFulfilled }) {
+        let page
+        try {
+          page = (await queryFulfilled).data
+        } catch (err) {
+          // The component that asked for the page shows the error
+          return
+        }
+        dispatch(
+          postsApi.util.updateQueryData('getPosts', list, (draft) => {
+            postsAdapter.upsertMany(draft, page.posts)
+            draft.nextCursor = page.nextCursor
+          })
+        )
+      },
+    }),
+    // A single post, such as on a deep link, by post ID
+    getPost: builder.query({
+      async queryFn(postId, { getState }, extraOptions, baseQuery) {
+        const result = await baseQuery(`/posts/${postId}`)
+        if (result.error) {
+          return result
+        }
+        return { data: withUnsavedReactions(getState(), result.data) }
+      },
+      providesTags: (result, error, postId) => [{ type: 'Post', id: postId }],
+    }),
+    addNewPost: builder.mutation({
+      // Receives the partial `{title, content, tags}` object
+      queryFn: queueWhenOffline('addNewPost', (initialPost) => ({
+        url: '/posts',
+        method: 'POST',
+        body: initialPost,
+      })),
+      // The author's post count changes too. Queued posts are listed from the
+      // outbox until the server has them.
+      invalidatesTags: (result) =>
+        result
+          ? [
+              { type: 'Post', id: 'LIST' },
+              { type: 'User', id: result.user },
+              'Tag',
+            ]
+          : [],
+    }),
+    updatePost: builder.mutation({
+      // Receives the `{id, title, content, tags}` changes to save
+      queryFn: queueWhenOffline(
+        'updatePost',
+        ({ id, ...changes }, state) => ({
+          url: `/posts/${id}`,
+          method: 'PATCH',
+          /* Send the version we're editing, so the server can reject the edit 
+            if the post has been changed since we loaded it. Edits sent from 
+            the outbox already say which version they were made to. */
+          body: { version: selectCachedPostVersion(state, id), ...changes },
+        }),
+        {
+          /* Queued edits are applied optimistically, so the cached post's 
+            version is still the one the edit was made to. */
+          prepareArg: (arg, state) => ({
+            ...arg,
+            version: selectCachedPostVersion(state, arg.id),
+          }),
+        }
+      ),
+      /* Edits are applied optimistically, so the UI doesn't have to wait for the 
+        server. If the request fails, the patches are undone. A queued edit 
+        keeps its changes until it's sent. */
+      async onQueryStarted({ id, ...changes }, { dispatch, queryFulfilled }) {
+        const patches = dispatch(
+          updateCachedPost(id, (post) => {
+            Object.assign(post, changes)
+          })
+        )
+        try {
+          const { data: post } = await queryFulfilled
+          // The new version is needed right away, in case it's edited again
+          if (post) {
+            dispatch(
+              updateCachedPost(id, (draft) => {
+                Object.assign(draft, post)
+              })
+            )
+          }
+        } catch (err) {
+          patches.forEach((patch) => patch.undo())
+        }
+      },
+      invalidatesTags: (result, error, { id }) =>
+        result ? [{ type: 'Post', id }, 'Tag'] : [],
+    }),
+    /* Receives the post, since its author's stats change too. Anything that 
+      showed the post is refetched, and finds out it's gone. */
+    deletePost: builder.mutation({
+      query: ({ id }) => ({ url: `/posts/${id}`, method: 'DELETE' }),
+      invalidatesTags: (result, error, { id, user }) =>
+        error
+          ? []
+          : [
+              { type: 'Post', id },
+              { type: 'Post', id: 'LIST' },
+              { type: 'User', id: user },
+              'Tag',
+            ],
+    }),
+    saveReactions: builder.mutation({
+      // Receives `{postId, reaction, count}` for a batch of clicks
+      queryFn: queueWhenOffline(
+        'saveReactions',
+        ({ postId, reaction, count }) => ({
+          url: `/posts/${postId}/reactions`,
+          method: 'POST',
+          body: { reaction, count },
+        })
+      ),
+      /* The clicks were counted when they were made, so if they can't be 
+        saved, we take them back off. Clicks sent from the outbox were counted 
+        before they were queued. */
+      async onQueryStarted(arg, { dispatch, queryFulfilled }) {
+        try {
+          await queryFulfilled
+        } catch (err) {
+          if (!isReplay(arg)) {
+            const { postId, reaction, count } = arg
+            dispatch(
+              updateCachedPost(postId, (post) => {
+                post.reactions[reaction] -= count
+              })
+            )
+          }
+        }
+      },
+      invalidatesTags: (result, error, { postId }) =>
+        result ? [{ type: 'Post', id: postId }] : [],
+    }),
+  }),
 })
 
+export const {
+  useGetPostsQuery,
+  useLazyGetPostsPageQuery,
+  useGetPostQuery,
+  useAddNewPostMutation,
+  useUpdatePostMutation,
+  useDeletePostMutation,
+} = postsApi
+
+const { saveReactions } = postsApi.endpoints
+
+// Clicks on the same reaction within this window are sent as one request
+const REACTION_BATCH_DELAY_MS = 500
+
+// The clicks waiting to be sent, as `{count, timer}` by post ID and reaction
+const reactionBatches = {}
+
+/* A reaction is counted in the cache as soon as it's clicked. Rather than 
+  sending one request per click, we wait until the user stops clicking that 
+  reaction and then save all of the batched clicks in a single request. */
+export const addReaction =
+  ({ postId, reaction }) =>
+  (dispatch) => {
+    dispatch(reactionAdded({ postId, reaction }))
+    dispatch(
+      updateCachedPost(postId, (post) => {
+        post.reactions[reaction]++
+      })
+    )
+
+    const key = `${postId}/${reaction}`
+    const batch = reactionBatches[key] || { count: 0 }
+    clearTimeout(batch.timer)
+    batch.count++
+    batch.timer = setTimeout(() => {
+      delete reactionBatches[key]
+      dispatch(
+        saveReactions.initiate(
+          { postId, reaction, count: batch.count },
+          // Nothing reads the result, so it isn't kept in the store
+          { track: false }
+        )
+      )
+    }, REACTION_BATCH_DELAY_MS)
+    reactionBatches[key] = batch
+  }
+
+// Whether an action is about reaction clicks that were counted locally
+const isLocalSaveReactions = (action) => !isReplay(action.meta.arg.originalArgs)
+
 const postsSlice = createSlice({
   name: 'posts',
-  initialState: initialState,
+  initialState: {
+    /* Reaction clicks that the server hasn't counted yet, by post ID and 
+      reaction, including the ones being saved right now */
+    unsavedReactions: {},
+    // The error from the last failed reaction request for each post, keyed by post ID
+    reactionErrors: {},
+  },
   reducers: {
-    postUpdated(state, action) {
-      const { postId, title, content } = action.payload
-      const existingPost = state.entities[postId]
-      if (existingPost) {
-        existingPost.title = title
-        existingPost.content = content
-      }
-    },
     reactionAdded(state, action) {
       const { postId, reaction } = action.payload
-      const existingPost = state.entities[postId]
-      if (existingPost) {
-        existingPost.reactions[reaction]++
-      }
+      const unsaved = state.unsavedReactions[postId] || {}
+      unsaved[reaction] = (unsaved[reaction] || 0) + 1
+      state.unsavedReactions[postId] = unsaved
+      delete state.reactionErrors[postId]
     },
   },
   /* There are times when a slice reducer needs to respond to other actions that 
     weren't defined as part of this slice's reducers field. We can do that using 
-    the slice extraReducers field instead. The extraReducers option should be a 
-    function that receives a parameter called builder. The builder object provides 
-    methods that let us define additional case reducers that will run in response 
-    to actions defined outside of the slice. We'll use builder.addCase(actionCreator, 
-    reducer) to handle each of the actions dispatched by our async thunks. */
+    the slice extraReducers field instead. RTK Query's endpoints have "matchers" 
+    for their actions, which we pass to builder.addMatcher(). */
   extraReducers(builder) {
     builder
-      .addCase(fetchPosts.pending, (state, action) => {
-        state.status = 'loading'
-      })
-      .addCase(fetchPosts.fulfilled, (state, action) => {
-        state.status = 'succeeded'
-        // Add any fetched posts to the array
-        // Use the `upsertMany` reducer as a mutating update utility
-        postsAdapter.upsertMany(state, action.payload)
-      })
-      .addCase(fetchPosts.rejected, (state, action) => {
-        state.status = 'failed'
-        state.error = action.error.message
-      })
-      // Use the `addOne` reducer for the fulfilled case
-      .addCase(addNewPost.fulfilled, postsAdapter.addOne)
+      // Queued clicks stay in the cache until they're sent, like queued edits
+      .addMatcher(
+        isAnyOf(saveReactions.matchFulfilled, saveReactions.matchRejected),
+        (state, action) => {
+          if (!isLocalSaveReactions(action)) {
+            return
+          }
+          const { postId, reaction, count } = action.meta.arg.originalArgs
+          const unsaved = state.unsavedReactions[postId]
+          unsaved[reaction] -= count
+          // Drop emptied counts so this only lists clicks the server hasn't counted
+          if (unsaved[reaction] === 0) {
+            delete unsaved[reaction]
+          }
+          if (Object.keys(unsaved).length === 0) {
+            delete state.unsavedReactions[postId]
+          }
+          if (saveReactions.matchRejected(action)) {
+            state.reactionErrors[postId] = action.payload
+          }
+        }
+      )
   },
 })
 
-export const { postUpdated, reactionAdded } = postsSlice.actions
+export const { reactionAdded } = postsSlice.actions
 
 export default postsSlice.reducer
 
-// Export the customized selectors for this adapter using `getSelectors`
-const {
-  selectAll: selectAllPosts,
-  selectById,
-  selectIds: selectPostIds,
-  // Pass in a selector that returns the posts slice of state
-} = postsAdapter.getSelectors((state) => state.posts)
-const selectPostById = (postId) => (state) => selectById(state, postId)
-export { selectAllPosts, selectPostById, selectPostIds }
+// Calling `someEndpoint.select(someArg)` generates a new selector that will return
+// the query result object for a query with those parameters. These take the key
+// of a posts list, and default to the list of all posts.
+const selectPostsData =
+  (list = '') =>
+  (state) =>
+    // Fall back to an empty list while the posts haven't been fetched
+    postsApi.endpoints.getPosts.select(list)(state).data || initialPostsData
+
+export const selectPostIds = (list) => (state) =>
+  selectPostsData(list)(state).ids
+
+export const selectPostById = (postId, list) => (state) =>
+  selectPostsData(list)(state).entities[postId]
+
+export const selectHasMorePosts = (list) => (state) =>
+  selectPostsData(list)(state).nextCursor !== null
+
+export const selectReactionError = (postId) => (state) =>
+  state.posts.reactionErrors[postId]
 
 /* createSelector() takes one or more "input selector" functions as argument, plus an 
-  "output selector" function. When we call selectPostsByUser(state, userId), createSelector 
-  will pass all of the arguments into each of our input selectors. Whatever those input 
-  selectors return becomes the arguments for the output selector. In this case, we know that 
-  we need the array of all posts and the user ID as the two arguments for our output selector. 
-  We can reuse our existing selectAllPosts selector to extract the posts array. Since the user 
-  ID is the second argument we're passing into selectPostsByUser, we can write a small selector 
-  that just returns userId.
-
-  Our output selector then takes posts and userId, and returns the filtered array of posts for 
-  just that user. If we try calling selectPostsByUser multiple times, it will only re-run the 
-  output selector if either posts or userId has changed. */
+  "output selector" function. When we call selectPostsByUser(userId)(state), createSelector 
+  will pass the state into each of our input selectors. Whatever those input selectors 
+  return becomes the arguments for the output selector. In this case, we need the cached 
+  list of the user's posts, which the server filtered for us, as the argument for our 
+  output selector.
+
+  Our output selector then looks up the posts in that list, in order. If we try calling 
+  the selector multiple times, it will only re-run the output selector if the list has 
+  changed. */
 export const selectPostsByUser = (userId) =>
-  createSelector([selectAllPosts, (state) => userId], (posts, userId) =>
-    posts.filter((post) => post.user === userId)
+  createSelector(
+    [selectPostsData(postsListKey({ author: userId }))],
+    (postsData) => postsData.ids.map((postId) => postsData.entities[postId])
   )
@@ -0,0 +1,61 @@
+/* How <PostsList> sorts and filters the posts. The view is kept in the query 
+  string, like `/?sort=reactions&author=abc&from=2021-01-01`, so that it can be 
+  shared as a link and survives a reload. Anything missing or invalid falls back 
+  to the default, so that old or hand-edited links still work. */
+
+export const POST_SORTS = {
+  date: 'Newest first',
+  reactions: 'Most reactions',
+  title: 'Title (A-Z)',
+}
+
+export const DEFAULT_POSTS_VIEW = {
+  sort: 'date',
+  author: '',
+  // Inclusive dates in `yyyy-MM-dd` form, as used by <input type="date">
+  from: '',
+  to: '',
+}
+
+const isDateString = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+
+export const parsePostsView = (search) => {
+  const params = new URLSearchParams(search)
+  const sort = params.get('sort')
+  const from = params.get('from')
+  const to = params.get('to')
+
+  return {
+    // Not `in`, which would also accept keys like `constructor`
+    sort: Object.prototype.hasOwnProperty.call(POST_SORTS, sort)
+      ? sort
+      : DEFAULT_POSTS_VIEW.sort,
+    author: params.get('author') || DEFAULT_POSTS_VIEW.author,
+    from: from && isDateString(from) ? from : DEFAULT_POSTS_VIEW.from,
+    to: to && isDateString(to) ? to : DEFAULT_POSTS_VIEW.to,
+  }
+}
+
+/* The values that differ from the default. Only these end up in the query 
+  string, and they're also the filters we ask the server to list the posts 
+  with, since `GET /posts` takes the same parameters. */
+export const getPostsViewFilters = (view) => {
+  const filters = {}
+  Object.keys(DEFAULT_POSTS_VIEW).forEach((key) => {
+    if (view[key] && view[key] !== DEFAULT_POSTS_VIEW[key]) {
+      filters[key] = view[key]
+    }
+  })
+  return filters
+}
+
+export const stringifyPostsView = (view) => {
+  const search = new URLSearchParams(getPostsViewFilters(view)).toString()
+  return search ? `?${search}` : ''
+}
+
+export const isDefaultPostsView = (view) =>
+  Object.keys(DEFAULT_POSTS_VIEW).every(
+    (key) => view[key] === DEFAULT_POSTS_VIEW[key]
+  )
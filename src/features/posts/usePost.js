@@ -0,0 +1,17 @@
+import { useSelector } from 'react-redux'
+import { ApiErrorCodes } from '../../api/client'
+import { selectPostById, useGetPostQuery } from './postsSlice'
+
+/* Fetches the post with the given ID, for the pages that show a single post. 
+  Until the server answers, we show the copy in the posts list if there is one. 
+  The cache keeps the last copy of a post even if fetching it again fails, but 
+  if the server says it's gone, so is the post. */
+export const usePost = (postId) => {
+  const { data, isFetching, isError, error, refetch } = useGetPostQuery(postId)
+  const listedPost = useSelector(selectPostById(postId))
+
+  const isNotFound = isError && error.code === ApiErrorCodes.NOT_FOUND
+  const post = isNotFound ? undefined : data || listedPost
+
+  return { post, isFetching, error, refetch }
+}
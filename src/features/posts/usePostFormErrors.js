@@ -0,0 +1,64 @@
+import { useMemo, useState } from 'react'
+import { ApiErrorCodes } from '../../api/client'
+import { useGetUsersQuery } from '../users/usersSlice'
+import { isValidPost, validatePost } from './postValidation'
+
+/* Tracks the errors of a post form. The rules from `postValidation.js` are 
+  checked as the user types, but a field's error is only shown once the field 
+  has been changed or the user has tried to save, so an empty form doesn't 
+  start out covered in errors. If the server still rejects the post, the errors 
+  it sends back are shown on their fields until those fields change. */
+export const usePostFormErrors = (values) => {
+  const [touched, setTouched] = useState({})
+  const [submitted, setSubmitted] = useState(false)
+  const [serverErrors, setServerErrors] = useState({})
+
+  /* If the values include the author, it's checked against the users we know 
+    about, once we know some. */
+  const { data: users } = useGetUsersQuery()
+  const checkAuthor = 'user' in values && Boolean(users) && users.ids.length > 0
+
+  const errors = useMemo(
+    () =>
+      validatePost(values, {
+        userExists: checkAuthor
+          ? (userId) => Boolean(users.entities[userId])
+          : null,
+      }),
+    [values, users, checkAuthor]
+  )
+
+  const fieldError = (field) =>
+    serverErrors[field] ||
+    (touched[field] || submitted ? errors[field] : undefined)
+
+  // Call when a field changes
+  const touch = (field) => {
+    setTouched((touched) => ({ ...touched, [field]: true }))
+    setServerErrors(({ [field]: _, ...rest }) => rest)
+  }
+
+  // Call when the user tries to save. Returns whether the post can be sent.
+  const validateForSubmit = () => {
+    setSubmitted(true)
+    return isValidPost(errors)
+  }
+
+  // Call with the serialized ApiError of a failed save. Returns true if it
+  // was a validation error, which is then shown on the fields.
+  const showServerErrors = (error) => {
+    if (error && error.code === ApiErrorCodes.VALIDATION_FAILED) {
+      setServerErrors(error.details || {})
+      return true
+    }
+    return false
+  }
+
+  const reset = () => {
+    setTouched({})
+    setSubmitted(false)
+    setServerErrors({})
+  }
+
+  return { fieldError, touch, validateForSubmit, showServerErrors, reset }
+}
@@ -0,0 +1,50 @@
+import React from 'react'
+import { searchTerms } from './searchTerms'
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Wraps every occurrence of the query's words in `text` in a <mark>
+export const Highlight = ({ text, query }) => {
+  const terms = searchTerms(query)
+  if (!text || !terms.length) {
+    return text || null
+  }
+
+  // Splitting on a capturing group keeps the matches, at the odd indexes
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+  const parts = text.split(pattern)
+
+  return (
+    <React.Fragment>
+      {parts.map((part, index) =>
+        index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+      )}
+    </React.Fragment>
+  )
+}
+
+const SNIPPET_CONTEXT_CHARS = 60
+
+// Cuts a long text down to the whole words around the first match
+export const snippetAround = (text, query) => {
+  const lowerText = text.toLowerCase()
+  const indexes = searchTerms(query)
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index !== -1)
+  const firstMatch = indexes.length ? Math.min(...indexes) : 0
+
+  let start = Math.max(0, firstMatch - SNIPPET_CONTEXT_CHARS)
+  let end = Math.min(text.length, firstMatch + SNIPPET_CONTEXT_CHARS * 2)
+  // Move the ends out of any word they fall in the middle of
+  if (start > 0) {
+    const space = text.lastIndexOf(' ', start)
+    start = space === -1 ? 0 : space + 1
+  }
+  if (end < text.length) {
+    const space = text.indexOf(' ', end)
+    end = space === -1 ? text.length : space
+  }
+  return `${start > 0 ? '...' : ''}${text.slice(start, end)}${
+    end < text.length ? '...' : ''
+  }`
+}
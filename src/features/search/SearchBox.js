@@ -0,0 +1,63 @@
+import { useEffect, useRef, useState } from 'react'
+import { useHistory, useLocation } from 'react-router-dom'
+import { useUrlSearchQuery } from './SearchPage'
+
+// Wait until the user stops typing for this long before searching
+const SEARCH_DEBOUNCE_MS = 300
+
+/* The search box only changes the URL. <SearchPage> does the searching, so that 
+  following a bookmarked or shared link works the same as typing. */
+export const SearchBox = () => {
+  const history = useHistory()
+  const location = useLocation()
+  const urlQuery = useUrlSearchQuery()
+  const isOnSearchPage = location.pathname === '/search'
+
+  const [text, setText] = useState(isOnSearchPage ? urlQuery : '')
+  // The query we last put in the URL ourselves
+  const lastQueryRef = useRef(text)
+
+  // Show the query when the URL changes some other way, like the back button
+  useEffect(() => {
+    if (isOnSearchPage && urlQuery !== lastQueryRef.current) {
+      lastQueryRef.current = urlQuery
+      setText(urlQuery)
+    }
+  }, [isOnSearchPage, urlQuery])
+
+  useEffect(() => {
+    // Clearing the box on another page shouldn't take us to the search page
+    if (text === lastQueryRef.current || (!isOnSearchPage && !text.trim())) {
+      return
+    }
+    const timeoutId = setTimeout(() => {
+      lastQueryRef.current = text
+      const url = `/search?q=${encodeURIComponent(text)}`
+      // Only the first search adds a history entry, not every pause in typing
+      if (isOnSearchPage) {
+        history.replace(url)
+      } else {
+        history.push(url)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+    return () => clearTimeout(timeoutId)
+  }, [text, isOnSearchPage, history])
+
+  const onSubmit = (e) => {
+    e.preventDefault()
+    lastQueryRef.current = text
+    history.push(`/search?q=${encodeURIComponent(text)}`)
+  }
+
+  return (
+    <form className="search-box" role="search" onSubmit={onSubmit}>
+      <input
+        type="search"
+        aria-label="Search posts and people"
+        placeholder="Search..."
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+    </form>
+  )
+}
@@ -0,0 +1,107 @@
+import { useEffect } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { markdownToPlainText } from '../../components/Markdown'
+import { Spinner } from '../../components/Spinner'
+import { PostAuthor } from '../posts/PostAuthor'
+import { TimeAgo } from '../posts/TimeAgo'
+import { Highlight, snippetAround } from './Highlight'
+import { useLazySearchQuery } from './searchSlice'
+
+// The query lives in the URL, as `/search?q=...`, so results can be bookmarked
+export const useUrlSearchQuery = () => {
+  const location = useLocation()
+  return new URLSearchParams(location.search).get('q') || ''
+}
+
+export const SearchPage = () => {
+  const query = useUrlSearchQuery()
+
+  /* Search again whenever the query in the URL changes. Aborting the previous 
+    request means we don't wait on responses for queries the user has already 
+    typed past. `currentData` is only ever the results for the current query, 
+    so we don't show the old results while the new ones load. The results are 
+    cached, and refreshed in place if one of them changes. */
+  const [search, { currentData, isFetching, isError, error }] =
+    useLazySearchQuery()
+
+  useEffect(() => {
+    if (!query.trim()) {
+      return
+    }
+    // Use the cached results if we have them
+    const request = search(query, true)
+    return () => request.abort()
+  }, [query, search])
+
+  let content
+
+  if (!query.trim()) {
+    content = <p>Type in the search box to find posts and people.</p>
+  } else if (isFetching && !currentData) {
+    content = <Spinner text="Searching..." />
+  } else if (isError) {
+    content = <ApiErrorMessage error={error} prefix="Search failed: " />
+  } else if (currentData) {
+    const { posts, users } = currentData
+    if (!posts.length && !users.length) {
+      content = <p>Nothing matches "{query}".</p>
+    } else {
+      content = (
+        <div className="search-results">
+          {users.length > 0 && (
+            <section>
+              <h3>People</h3>
+              <ul>
+                {users.map((user) => (
+                  <li key={user.id}>
+                    <Link to={`/users/${user.id}`}>
+                      <Highlight text={user.name} query={query} />
+                    </Link>{' '}
+                    <span className="search-result-meta">
+                      @<Highlight text={user.username} query={query} />
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+          {posts.length > 0 && (
+            <section>
+              <h3>Posts</h3>
+              {posts.map((post) => (
+                <article key={post.id} className="post-excerpt">
+                  <h4>
+                    <Link to={`/posts/${post.id}`}>
+                      <Highlight text={post.title} query={query} />
+                    </Link>
+                  </h4>
+                  <div className="search-result-meta">
+                    <PostAuthor userId={post.user} />
+                    <TimeAgo timestamp={post.date} />
+                  </div>
+                  <p className="post-content">
+                    <Highlight
+                      text={snippetAround(
+                        markdownToPlainText(post.content),
+                        query
+                      )}
+                      query={query}
+                    />
+                  </p>
+                </article>
+              ))}
+            </section>
+          )}
+        </div>
+      )
+    }
+  }
+
+  return (
+    <section>
+      <h2>Search</h2>
+      {content}
+    </section>
+  )
+}
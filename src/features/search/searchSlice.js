@@ -0,0 +1,23 @@
+import { apiSlice } from '../api/apiSlice'
+
+export const searchApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /* The results are `{query, posts, users}`, with copies of the posts and 
+      users that matched rather than IDs in the cached lists. Search can turn up 
+      posts from pages we haven't loaded, and adding them to the posts list 
+      would leave gaps in <PostsList>. Each query's results are cached on their 
+      own, and refetched when one of the posts or users in them changes. */
+    search: builder.query({
+      query: (query) => `/search?q=${encodeURIComponent(query)}`,
+      providesTags: (result) =>
+        result
+          ? [
+              ...result.posts.map(({ id }) => ({ type: 'Post', id })),
+              ...result.users.map(({ id }) => ({ type: 'User', id })),
+            ]
+          : [],
+    }),
+  }),
+})
+
+export const { useLazySearchQuery } = searchApi
@@ -0,0 +1,5 @@
+/* Splits a search query into the lowercase words we look for. The mock server
+  ranks results by these words, and the results page highlights the same ones,
+  so both use this copy. */
+export const searchTerms = (query) =>
+  query.toLowerCase().split(/\s+/).filter(Boolean)
@@ -0,0 +1,20 @@
+import { Link } from 'react-router-dom'
+
+// The tags of a post, as chips linking to each tag's page
+export const PostTags = ({ tags }) => {
+  if (!tags || !tags.length) {
+    return null
+  }
+
+  return (
+    <ul className="tag-list">
+      {tags.map((tag) => (
+        <li key={tag}>
+          <Link to={`/tags/${encodeURIComponent(tag)}`} className="tag-chip">
+            #{tag}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,52 @@
+import { Link } from 'react-router-dom'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { Spinner } from '../../components/Spinner'
+import { useGetTagsQuery } from './tagsSlice'
+
+// Font sizes for the least and most used tags, in rem
+const MIN_TAG_SIZE = 0.9
+const MAX_TAG_SIZE = 1.8
+
+// Every tag in use, sized by how many posts have it
+export const TagCloud = ({ selectedTag }) => {
+  const { data: tags = [], isSuccess, isError, error } = useGetTagsQuery()
+
+  if (isError) {
+    return <ApiErrorMessage error={error} prefix="Couldn't load the tags: " />
+  }
+  if (!tags.length) {
+    return isSuccess ? (
+      <p>No posts have tags yet.</p>
+    ) : (
+      <Spinner text="Loading tags..." size="3em" />
+    )
+  }
+
+  const counts = tags.map((tag) => tag.count)
+  const minCount = Math.min(...counts)
+  const range = Math.max(...counts) - minCount || 1
+
+  // Alphabetical, so that tags are easy to find
+  const sortedTags = [...tags].sort((a, b) => a.tag.localeCompare(b.tag))
+
+  return (
+    <div className="tag-cloud">
+      {sortedTags.map(({ tag, count }) => {
+        const size =
+          MIN_TAG_SIZE +
+          ((count - minCount) / range) * (MAX_TAG_SIZE - MIN_TAG_SIZE)
+        return (
+          <Link
+            key={tag}
+            to={`/tags/${encodeURIComponent(tag)}`}
+            className={tag === selectedTag ? 'tag-selected' : undefined}
+            style={{ fontSize: `${size}rem` }}
+            title={`${count} ${count === 1 ? 'post' : 'posts'}`}
+          >
+            #{tag} <span className="tag-count">{count}</span>
+          </Link>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { normalizeTag } from '../posts/postValidation'
+import { useGetTagsQuery } from './tagsSlice'
+
+const MAX_SUGGESTIONS = 5
+
+/* Edits a list of tags. Typing shows the existing tags that start with what's 
+  been typed so far, most used first. Enter or a comma adds the tag, and 
+  Backspace in the empty input removes the last one. */
+export const TagInput = ({ id, tags, onChange }) => {
+  const [text, setText] = useState('')
+
+  const { data: allTags = [] } = useGetTagsQuery()
+
+  const prefix = normalizeTag(text)
+  const suggestions = prefix
+    ? allTags
+        .filter(({ tag }) => tag.startsWith(prefix) && !tags.includes(tag))
+        .slice(0, MAX_SUGGESTIONS)
+    : []
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value)
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag])
+    }
+    setText('')
+  }
+
+  const removeTag = (tag) => onChange(tags.filter((t) => t !== tag))
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTag(text)
+    } else if (e.key === 'Backspace' && !text && tags.length) {
+      removeTag(tags[tags.length - 1])
+    }
+  }
+
+  return (
+    <div className="tag-input">
+      <ul className="tag-list">
+        {tags.map((tag) => (
+          <li key={tag} className="tag-chip">
+            #{tag}
+            <button
+              type="button"
+              aria-label={`Remove tag ${tag}`}
+              onClick={() => removeTag(tag)}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      <input
+        type="text"
+        id={id}
+        value={text}
+        placeholder="Add a tag"
+        autoComplete="off"
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={onKeyDown}
+        onBlur={() => addTag(text)}
+      />
+      {suggestions.length > 0 && (
+        <ul className="tag-suggestions">
+          {suggestions.map(({ tag, count }) => (
+            <li key={tag}>
+              {/* Keep the input from losing focus, which would add the
+                  half-typed tag before this one */}
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag)}
+              >
+                #{tag} <span className="tag-count">{count}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+import React from 'react'
+import { useSelector } from 'react-redux'
+import { Spinner } from '../../components/Spinner'
+import { NextPageLoader, PostExcerpt, PostsListError } from '../posts/PostsList'
+import {
+  postsListKey,
+  selectHasMorePosts,
+  selectPostIds,
+  useGetPostsQuery,
+} from '../posts/postsSlice'
+import { TagCloud } from './TagCloud'
+
+/* Lists the posts with a tag. Like the "Following" feed, the server picks the 
+  posts, and we keep loading pages as the user scrolls. Without a tag in the 
+  URL, it only shows the tag cloud. */
+export const TagPage = ({ match }) => {
+  const { tag } = match.params
+
+  const list = postsListKey({ tag })
+  const postIds = useSelector(selectPostIds(list))
+  const hasMore = useSelector(selectHasMorePosts(list))
+  // The tag cloud alone doesn't need the posts
+  const { currentData, isFetching, isError, error, refetch } = useGetPostsQuery(
+    list,
+    { skip: !tag }
+  )
+
+  let content
+
+  if (!tag) {
+    content = null
+  } else if (currentData) {
+    content = (
+      <React.Fragment>
+        {isError && <PostsListError error={error} onRetry={refetch} />}
+        {postIds.map((postId) => (
+          <PostExcerpt key={postId} postId={postId} list={list} />
+        ))}
+        {!postIds.length && !hasMore && <p>No posts are tagged #{tag}.</p>}
+        <NextPageLoader list={list} />
+      </React.Fragment>
+    )
+  } else if (isFetching) {
+    content = <Spinner text="Loading..." />
+  } else if (isError) {
+    content = <PostsListError error={error} onRetry={refetch} />
+  }
+
+  return (
+    <section className="posts-list">
+      <h2>{tag ? `#${tag}` : 'Tags'}</h2>
+      <TagCloud selectedTag={tag} />
+      {content}
+    </section>
+  )
+}
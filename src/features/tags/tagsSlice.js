@@ -0,0 +1,15 @@
+import { apiSlice } from '../api/apiSlice'
+
+export const tagsApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /* `{tag, count}` for every tag in use, most used first. Saving or deleting 
+      a post can change the counts, so the post mutations invalidate 'Tag' and 
+      whatever shows the tags fetches them again. */
+    getTags: builder.query({
+      query: () => '/tags',
+      providesTags: ['Tag'],
+    }),
+  }),
+})
+
+export const { useGetTagsQuery } = tagsApi
@@ -0,0 +1,39 @@
+import { useDispatch, useSelector } from 'react-redux'
+import { selectToasts, toastDismissed, toastRetried } from './toastsSlice'
+
+// Shows the current toasts in a corner of the page, newest at the bottom
+export const ToastArea = () => {
+  const dispatch = useDispatch()
+  const toasts = useSelector(selectToasts)
+
+  return (
+    <div className="toast-area" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast toast-${toast.kind}`}
+          role={toast.kind === 'error' ? 'alert' : 'status'}
+        >
+          <span className="toast-message">{toast.message}</span>
+          {toast.retry && (
+            <button
+              type="button"
+              className="toast-action"
+              onClick={() => dispatch(toastRetried(toast))}
+            >
+              Retry
+            </button>
+          )}
+          <button
+            type="button"
+            className="toast-action"
+            aria-label="Dismiss"
+            onClick={() => dispatch(toastDismissed(toast.id))}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,184 @@
+import { isAnyOf, isRejected } from '@reduxjs/toolkit'
+import { ApiErrorCodes } from '../../api/client'
+import { startAppListening } from '../../app/listenerMiddleware'
+import { apiSlice } from '../api/apiSlice'
+import { commentsApi } from '../comments/commentsSlice'
+import { mutationRefused } from '../offline/offlineSlice'
+import { isQueued, isReplay } from '../offline/queueWhenOffline'
+import { postsApi } from '../posts/postsSlice'
+import { usersApi } from '../users/usersSlice'
+import {
+  TOAST_DURATIONS_MS,
+  toastAdded,
+  toastDismissed,
+  toastRetried,
+} from './toastsSlice'
+
+/* Queries are always safe to simply run again after they failed. So are these 
+  mutations, because running them twice has the same effect as running them 
+  once. Their error toasts get a "Retry" button. */
+const retryableMutations = ['deletePost', 'markNotificationsRead']
+
+const isRetryable = ({ type, endpointName }) =>
+  type === 'query' || retryableMutations.includes(endpointName)
+
+// What failed, by API endpoint, for the requests where the error message alone
+// isn't clear
+const failureMessages = {
+  getUsers: "Couldn't load the users",
+  getUser: "Couldn't load this user",
+  updateUser: "Couldn't save the profile",
+  followUser: "Couldn't follow this user",
+  unfollowUser: "Couldn't unfollow this user",
+  login: "Couldn't log in",
+  addNewPost: "Couldn't save the post",
+  getPosts: "Couldn't load the posts",
+  getPostsPage: "Couldn't load the posts",
+  getPost: "Couldn't load the post",
+  updatePost: "Couldn't save the post",
+  deletePost: "Couldn't delete the post",
+  search: 'The search failed',
+  getNotifications: "Couldn't load the notifications",
+  getComments: "Couldn't load the comments",
+  addNewComment: "Couldn't save the comment",
+  updateComment: "Couldn't save the comment",
+  deleteComment: "Couldn't delete the comment",
+  getTags: "Couldn't load the tags",
+}
+
+const { addNewPost, updatePost, deletePost } = postsApi.endpoints
+
+const successMessages = [
+  [addNewPost, 'Post saved'],
+  [updatePost, 'Changes saved'],
+  [deletePost, 'Post deleted'],
+  [commentsApi.endpoints.addNewComment, 'Comment added'],
+  [usersApi.endpoints.updateUser, 'Profile saved'],
+]
+
+const queuedMessages = {
+  addNewPost:
+    "You're offline, so the post will be saved when you're back online",
+  updatePost:
+    "You're offline, so your changes will be saved when you're back online",
+}
+
+// Explains why a change made while offline was dropped from the outbox
+const refusedChangeMessage = ({ entry, error, savedAsDraft }) => {
+  const draftNote = savedAsDraft ? ' It has been saved as a draft.' : ''
+  switch (entry.kind) {
+    case 'addNewPost':
+      return `Your post "${entry.arg.title}" couldn't be saved: ${error.message}.${draftNote}`
+    case 'updatePost':
+      if (error.code === ApiErrorCodes.CONFLICT) {
+        return `"${entry.arg.title}" was changed by someone else while you were offline, so your edit wasn't saved.${draftNote}`
+      }
+      return `Your edit to "${entry.arg.title}" couldn't be saved: ${error.message}.${draftNote}`
+    default:
+      return `Your reaction couldn't be saved: ${error.message}`
+  }
+}
+
+/* Some rejections aren't worth telling the user about: requests we cancelled 
+  ourselves, queries that didn't run because their data was already cached or 
+  loading, validation errors, which the forms already show next to each 
+  field, and reactions that couldn't be saved, which <ReactionButtons> shows 
+  next to the buttons. A post that's gone is shown as "Post not found!" by its 
+  page, which is also what happens when a post that's open is deleted. Changes 
+  sent from the outbox get their own message if the server refuses them. */
+const shouldToast = (action) => {
+  const { meta, payload } = action
+  if (
+    meta.aborted ||
+    meta.condition ||
+    isReplay(meta.arg.originalArgs) ||
+    meta.arg.endpointName === 'saveReactions'
+  ) {
+    return false
+  }
+  const code = payload && payload.code
+  if (meta.arg.endpointName === 'getPost' && code === ApiErrorCodes.NOT_FOUND) {
+    return false
+  }
+  return (
+    code !== ApiErrorCodes.ABORTED && code !== ApiErrorCodes.VALIDATION_FAILED
+  )
+}
+
+// Shows a toast, and dismisses it once it's been up long enough
+const showToast = async (toast, { dispatch, delay }) => {
+  const { payload } = dispatch(toastAdded(toast))
+  await delay(TOAST_DURATIONS_MS[payload.kind])
+  dispatch(toastDismissed(payload.id))
+}
+
+export const startToastListeners = () => {
+  // Any API request that fails
+  startAppListening({
+    matcher: isRejected,
+    effect: async (action, listenerApi) => {
+      if (!shouldToast(action)) {
+        return
+      }
+      const { type, endpointName, originalArgs } = action.meta.arg
+      // Errors the endpoint returned are in the payload, others in `error`
+      const error = action.payload || action.error
+      const failure = failureMessages[endpointName] || 'Something went wrong'
+      const message = error.message ? `${failure}: ${error.message}` : failure
+
+      const retry = isRetryable(action.meta.arg)
+        ? { type, endpointName, arg: originalArgs }
+        : null
+      await showToast({ kind: 'error', message, retry }, listenerApi)
+    },
+  })
+
+  successMessages.forEach(([endpoint, message]) => {
+    startAppListening({
+      matcher: endpoint.matchFulfilled,
+      effect: async (action, listenerApi) => {
+        // Queued changes haven't been saved yet
+        if (!isQueued(action)) {
+          await showToast({ kind: 'success', message }, listenerApi)
+        }
+      },
+    })
+  })
+
+  startAppListening({
+    matcher: isAnyOf(addNewPost.matchFulfilled, updatePost.matchFulfilled),
+    effect: async (action, listenerApi) => {
+      if (isQueued(action)) {
+        const message = queuedMessages[action.meta.arg.endpointName]
+        await showToast({ kind: 'info', message }, listenerApi)
+      }
+    },
+  })
+
+  startAppListening({
+    actionCreator: mutationRefused,
+    effect: async (action, listenerApi) => {
+      const message = refusedChangeMessage(action.payload)
+      await showToast({ kind: 'error', message }, listenerApi)
+    },
+  })
+
+  startAppListening({
+    actionCreator: toastRetried,
+    effect: (action, { dispatch }) => {
+      const { retry } = action.payload
+      const endpoint = retry && apiSlice.endpoints[retry.endpointName]
+      if (!endpoint) {
+        return
+      }
+      if (retry.type === 'query') {
+        // Fetch it again even if it's cached, for whatever is showing it
+        dispatch(
+          endpoint.initiate(retry.arg, { subscribe: false, forceRefetch: true })
+        )
+      } else {
+        dispatch(endpoint.initiate(retry.arg, { track: false }))
+      }
+    },
+  })
+}
@@ -0,0 +1,55 @@
+import { createSlice, nanoid } from '@reduxjs/toolkit'
+
+// How long toasts stay up before dismissing themselves
+export const TOAST_DURATIONS_MS = {
+  success: 4000,
+  info: 6000,
+  error: 8000,
+}
+
+// Only this many toasts are shown at once, dropping the oldest
+const MAX_TOASTS = 5
+
+const initialState = []
+
+const toastsSlice = createSlice({
+  name: 'toasts',
+  initialState,
+  reducers: {
+    toastAdded: {
+      reducer(state, action) {
+        state.push(action.payload)
+        if (state.length > MAX_TOASTS) {
+          state.shift()
+        }
+      },
+      /* `retry`, if given, is `{type, endpointName, arg}`: whether it was a 
+        'query' or a 'mutation', the API endpoint, and the argument to start it 
+        with again. The endpoint itself can't be stored, since it has functions. */
+      prepare({ kind = 'success', message, retry = null }) {
+        return {
+          payload: {
+            id: nanoid(),
+            kind,
+            message,
+            retry,
+            date: new Date().toISOString(),
+          },
+        }
+      },
+    },
+    toastDismissed(state, action) {
+      return state.filter((toast) => toast.id !== action.payload)
+    },
+    // Handled by the toast listeners, which know how to start the request again
+    toastRetried(state, action) {
+      return state.filter((toast) => toast.id !== action.payload.id)
+    },
+  },
+})
+
+export const { toastAdded, toastDismissed, toastRetried } = toastsSlice.actions
+
+export default toastsSlice.reducer
+
+export const selectToasts = (state) => state.toasts
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { selectCurrentUserId } from '../auth/authSlice'
+import {
+  selectIsFollowing,
+  useFollowUserMutation,
+  useUnfollowUserMutation,
+} from './usersSlice'
+
+// Follows or unfollows a user. Nothing is shown when logged out, or on the
+// current user's own entries.
+export const FollowButton = ({ userId }) => {
+  const currentUserId = useSelector(selectCurrentUserId)
+  const isFollowing = useSelector(selectIsFollowing(userId))
+  const [requestStatus, setRequestStatus] = useState('idle')
+  const [requestError, setRequestError] = useState(null)
+
+  const [followUser] = useFollowUserMutation()
+  const [unfollowUser] = useUnfollowUserMutation()
+
+  if (!currentUserId || currentUserId === userId) {
+    return null
+  }
+
+  const onClicked = async () => {
+    try {
+      setRequestStatus('pending')
+      setRequestError(null)
+      const mutation = isFollowing ? unfollowUser : followUser
+      await mutation(userId).unwrap()
+    } catch (err) {
+      setRequestError(err)
+    } finally {
+      setRequestStatus('idle')
+    }
+  }
+
+  let label = isFollowing ? 'Unfollow' : 'Follow'
+  if (requestStatus === 'pending') {
+    label = isFollowing ? 'Unfollowing...' : 'Following...'
+  }
+
+  return (
+    <span className="follow-button">
+      <button
+        type="button"
+        className={isFollowing ? 'button muted-button' : 'button'}
+        onClick={onClicked}
+        disabled={requestStatus === 'pending'}
+      >
+        {label}
+      </button>
+      <ApiErrorMessage error={requestError} />
+    </span>
+  )
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react'
+
+const initialsFor = (name = '') =>
+  name
+    .split(' ')
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('')
+
+// Shows the user's picture, or their initials if they don't have one or it
+// fails to load
+export const UserAvatar = ({ user, size = 64 }) => {
+  const [failedUrl, setFailedUrl] = useState(null)
+  const style = { width: size, height: size }
+
+  if (user.avatar && user.avatar !== failedUrl) {
+    return (
+      <img
+        className="avatar"
+        style={style}
+        src={user.avatar}
+        alt={user.name}
+        onError={() => setFailedUrl(user.avatar)}
+      />
+    )
+  }
+
+  return (
+    <span
+      className="avatar avatar-initials"
+      style={{ ...style, fontSize: size / 2.5 }}
+      aria-label={user.name}
+    >
+      {initialsFor(user.name)}
+    </span>
+  )
+}
@@ -1,12 +1,161 @@
+import { format, parseISO } from 'date-fns'
+import React, { useState } from 'react'
 import { useSelector } from 'react-redux'
 import { Link } from 'react-router-dom'
-import { selectPostsByUser } from '../posts/postsSlice'
-import { selectUserById } from './usersSlice'
+import { ApiErrorCodes } from '../../api/client'
+import { ApiErrorMessage } from '../../components/ApiErrorMessage'
+import { Spinner } from '../../components/Spinner'
+import { selectCurrentUserId } from '../auth/authSlice'
+import { NextPageLoader, PostsListError } from '../posts/PostsList'
+import {
+  postsListKey,
+  selectPostsByUser,
+  useGetPostsQuery,
+} from '../posts/postsSlice'
+import { FollowButton } from './FollowButton'
+import { UserAvatar } from './UserAvatar'
+import {
+  selectUserById,
+  useGetUserQuery,
+  useUpdateUserMutation,
+} from './usersSlice'
+
+// Like <PostEditor>, the form starts out with the user's current profile
+const ProfileEditor = ({ user, onDone }) => {
+  const [name, setName] = useState(user.name)
+  const [bio, setBio] = useState(user.bio || '')
+  const [location, setLocation] = useState(user.location || '')
+  const [avatar, setAvatar] = useState(user.avatar || '')
+  const [updateUser, { isLoading, error: updateError }] =
+    useUpdateUserMutation()
+
+  const canSave = Boolean(name.trim()) && !isLoading
+
+  const onSaveClicked = async () => {
+    if (canSave) {
+      try {
+        await updateUser({ id: user.id, name, bio, location, avatar }).unwrap()
+        onDone()
+      } catch (err) {
+        // The mutation keeps the error, and it's shown below
+      }
+    }
+  }
+
+  return (
+    <form className="profile-form">
+      <label htmlFor="profileName">Name:</label>
+      <input
+        type="text"
+        id="profileName"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <label htmlFor="profileBio">Bio:</label>
+      <textarea
+        id="profileBio"
+        value={bio}
+        onChange={(e) => setBio(e.target.value)}
+      />
+      <label htmlFor="profileLocation">Location:</label>
+      <input
+        type="text"
+        id="profileLocation"
+        value={location}
+        onChange={(e) => setLocation(e.target.value)}
+      />
+      <label htmlFor="profileAvatar">Avatar URL:</label>
+      <input
+        type="url"
+        id="profileAvatar"
+        value={avatar}
+        onChange={(e) => setAvatar(e.target.value)}
+      />
+      <ApiErrorMessage
+        error={updateError}
+        prefix="Failed to save the profile: "
+      />
+      <button type="button" onClick={onSaveClicked} disabled={!canSave}>
+        {isLoading ? 'Saving...' : 'Save Profile'}
+      </button>
+      <button
+        type="button"
+        className="muted-button"
+        onClick={onDone}
+        disabled={isLoading}
+      >
+        Cancel
+      </button>
+    </form>
+  )
+}
+
+const ProfileHeader = ({ user }) => {
+  const currentUserId = useSelector(selectCurrentUserId)
+  const [isEditing, setIsEditing] = useState(false)
+
+  if (isEditing) {
+    return <ProfileEditor user={user} onDone={() => setIsEditing(false)} />
+  }
+
+  return (
+    <header className="profile-header">
+      <UserAvatar user={user} size={96} />
+      <div className="profile-details">
+        <h2>{user.name}</h2>
+        <div className="profile-meta">
+          @{user.username}
+          {user.location && <span> · {user.location}</span>}
+          {user.joinedDate && (
+            <span>
+              {' '}
+              · Joined {format(parseISO(user.joinedDate), 'MMMM yyyy')}
+            </span>
+          )}
+        </div>
+        {user.bio && <p>{user.bio}</p>}
+        <div className="profile-stats">
+          <span>
+            <strong>{user.postCount || 0}</strong> posts
+          </span>
+          <span>
+            <strong>{user.reactionCount || 0}</strong> reactions received
+          </span>
+          <span>
+            <strong>{user.followerCount || 0}</strong> followers
+          </span>
+          <span>
+            <strong>{user.followingCount || 0}</strong> following
+          </span>
+        </div>
+        <FollowButton userId={user.id} />
+        {user.id === currentUserId && (
+          <button
+            type="button"
+            className="button"
+            onClick={() => setIsEditing(true)}
+          >
+            Edit Profile
+          </button>
+        )}
+      </div>
+    </header>
+  )
+}
 
 export const UserPage = ({ match }) => {
   const { userId } = match.params
 
-  const user = useSelector(selectUserById(userId))
+  /* The users list we load at startup may not include this user yet, and its 
+    stats go stale as people post and react, so we always ask for the latest. 
+    Until it arrives, we show what the users list has. */
+  const {
+    data: fetchedUser,
+    isFetching,
+    error: fetchError,
+  } = useGetUserQuery(userId, { refetchOnMountOrArgChange: true })
+  const listedUser = useSelector(selectUserById(userId))
+  const user = fetchedUser || listedUser
 
   /* We can use the React DevTools Profiler to view some graphs of what components 
     re-render when state is updated. Try clicking over to the <UserPage> for a 
@@ -32,17 +181,67 @@ export const UserPage = ({ match }) => {
     notifications, we should see that <UserPage> doesn't re-render this time */
   const postsForUser = useSelector(selectPostsByUser(userId))
 
-  const postTitles = postsForUser.map((post) => (
-    <li key={post.id}>
-      <Link to={`/posts/${post.id}`}>{post.title}</Link>
-    </li>
-  ))
+  // The server lists the user's posts for us, a page at a time
+  const postsList = postsListKey({ author: userId })
+  const {
+    currentData: postsData,
+    isFetching: isFetchingPosts,
+    isError: isPostsError,
+    error: postsError,
+    refetch: refetchPosts,
+  } = useGetPostsQuery(postsList)
+
+  if (!user) {
+    if (isFetching || !fetchError) {
+      return <Spinner text="Loading..." />
+    }
+
+    if (fetchError && fetchError.code === ApiErrorCodes.NOT_FOUND) {
+      return (
+        <section>
+          <h2>User not found!</h2>
+        </section>
+      )
+    }
+
+    return (
+      <section>
+        <h2>Couldn't load this user</h2>
+        <ApiErrorMessage error={fetchError} />
+      </section>
+    )
+  }
+
+  let posts
+
+  // Like <PostsList>, posts restored from the last visit are shown right away
+  if (postsData) {
+    posts = (
+      <React.Fragment>
+        {isPostsError && (
+          <PostsListError error={postsError} onRetry={refetchPosts} />
+        )}
+        <ul>
+          {postsForUser.map((post) => (
+            <li key={post.id}>
+              <Link to={`/posts/${post.id}`}>{post.title}</Link>
+            </li>
+          ))}
+        </ul>
+        <NextPageLoader list={postsList} />
+      </React.Fragment>
+    )
+  } else if (isFetchingPosts) {
+    posts = <Spinner text="Loading posts..." />
+  } else if (isPostsError) {
+    posts = <PostsListError error={postsError} onRetry={refetchPosts} />
+  }
 
   return (
     <section>
-      <h2>{user.name}</h2>
+      <ProfileHeader user={user} />
 
-      <ul>{postTitles}</ul>
+      {posts}
     </section>
   )
 }
@@ -1,13 +1,19 @@
 import { useSelector } from 'react-redux'
 import { Link } from 'react-router-dom'
+import { FollowButton } from './FollowButton'
 import { selectAllUsers } from './usersSlice'
 
 export const UsersList = () => {
   const users = useSelector(selectAllUsers)
 
   const renderedUsers = users.map((user) => (
-    <li key={user.id}>
+    <li key={user.id} className="users-list-item">
       <Link to={`/users/${user.id}`}>{user.name}</Link>
+      <span className="users-list-counts">
+        {user.followerCount || 0} followers · {user.followingCount || 0}{' '}
+        following
+      </span>
+      <FollowButton userId={user.id} />
     </li>
   ))
 
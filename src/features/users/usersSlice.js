@@ -1,38 +1,131 @@
-import {
-  createAsyncThunk,
-  createEntityAdapter,
-  createSlice,
-} from '@reduxjs/toolkit'
-import { client } from '../../api/client'
+import { createEntityAdapter, createSelector } from '@reduxjs/toolkit'
+import { apiSlice } from '../api/apiSlice'
+import { selectCurrentUserId } from '../auth/authSlice'
 
 const usersAdapter = createEntityAdapter()
 
 const initialState = usersAdapter.getInitialState()
 
-export const fetchUsers = createAsyncThunk('users/fetchUsers', async () => {
-  const response = await client.get('/fakeApi/users')
-  return response.data
-})
+/* The users list and single users are provided under their IDs, plus a `LIST` 
+  tag for the list as a whole. Mutations that change users respond with the 
+  changed users, so instead of invalidating them we write the response into 
+  the cache right away. */
+const provideUserTags = (userIds) => [
+  { type: 'User', id: 'LIST' },
+  ...userIds.map((id) => ({ type: 'User', id })),
+]
+
+/* Builds an `onQueryStarted` that puts the users a mutation responded with into 
+  the users list and into any cached single users. `getUsers(data)` picks them 
+  out of the response. */
+const upsertResponseUsers =
+  (getUsers) =>
+  async (arg, { dispatch, queryFulfilled }) => {
+    let users
+    try {
+      users = getUsers((await queryFulfilled).data)
+    } catch (err) {
+      // The caller gets the error from the mutation itself
+      return
+    }
+    dispatch(
+      usersApi.util.updateQueryData('getUsers', undefined, (draft) => {
+        usersAdapter.upsertMany(draft, users)
+      })
+    )
+    users.forEach((user) => {
+      dispatch(
+        usersApi.util.updateQueryData('getUser', user.id, (draft) => {
+          Object.assign(draft, user)
+        })
+      )
+    })
+  }
 
-const usersSlice = createSlice({
-  name: 'users',
-  initialState,
-  reducers: {},
-  extraReducers(builder) {
-    builder.addCase(fetchUsers.fulfilled, usersAdapter.setAll)
-  },
+const invalidateFollowingFeed = (result) =>
+  result ? [{ type: 'Post', id: 'FOLLOWING' }] : []
+
+export const usersApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    getUsers: builder.query({
+      query: () => '/users',
+      // Normalize the users, so they can be looked up by ID
+      transformResponse: (responseData) =>
+        usersAdapter.setAll(initialState, responseData),
+      providesTags: (result = initialState) => provideUserTags(result.ids),
+    }),
+    // Fetches a single user, including up to date stats about their posts
+    getUser: builder.query({
+      query: (userId) => `/users/${userId}`,
+      providesTags: (result, error, userId) => [{ type: 'User', id: userId }],
+    }),
+    updateUser: builder.mutation({
+      // Receives the user's ID and the profile fields to change
+      query: ({ id, ...changes }) => ({
+        url: `/users/${id}`,
+        method: 'PATCH',
+        body: changes,
+      }),
+      onQueryStarted: upsertResponseUsers((user) => [user]),
+    }),
+    // Both respond with the current user and the user they (un)followed, since
+    // the follower and following counts of both have changed. The "Following"
+    // feed has other posts now.
+    followUser: builder.mutation({
+      query: (userId) => ({ url: `/users/${userId}/follow`, method: 'POST' }),
+      onQueryStarted: upsertResponseUsers((users) => users),
+      invalidatesTags: invalidateFollowingFeed,
+    }),
+    unfollowUser: builder.mutation({
+      query: (userId) => ({
+        url: `/users/${userId}/follow`,
+        method: 'DELETE',
+      }),
+      onQueryStarted: upsertResponseUsers((users) => users),
+      invalidatesTags: invalidateFollowingFeed,
+    }),
+  }),
 })
 
+export const {
+  useGetUsersQuery,
+  useGetUserQuery,
+  useUpdateUserMutation,
+  useFollowUserMutation,
+  useUnfollowUserMutation,
+} = usersApi
+
+// Calling `someEndpoint.select(someArg)` generates a new selector that will return
+// the query result object for a query with those parameters.
+export const selectUsersResult = usersApi.endpoints.getUsers.select()
+
+const selectUsersData = createSelector(
+  selectUsersResult,
+  // Fall back to an empty list while the users haven't been fetched
+  (usersResult) => usersResult.data || initialState
+)
+
 const {
   selectAll: selectAllUsers,
   selectById,
   selectIds: selectUserIds,
-} = usersAdapter.getSelectors((state) => state.users)
+} = usersAdapter.getSelectors(selectUsersData)
 const selectUserById = (userId) => (state) => selectById(state, userId)
 export { selectAllUsers, selectUserById, selectUserIds }
 
-//export const selectAllUsers = (state) => state.users
-//export const selectUserById = (userId) => (state) =>
-//  state.users.find((user) => user.id === userId)
+export const selectCurrentUser = (state) => {
+  const userId = selectCurrentUserId(state)
+  return userId ? selectById(state, userId) : undefined
+}
+
+// Returned when nobody is logged in, so that the result is always the same
+const noUserIds = []
+
+// The IDs of the users the current user follows
+export const selectFollowedUserIds = (state) => {
+  const user = selectCurrentUser(state)
+  return user && user.followingIds ? user.followingIds : noUserIds
+}
 
-export default usersSlice.reducer
+export const selectIsFollowing = (userId) => (state) =>
+  selectFollowedUserIds(state).includes(userId)
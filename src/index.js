@@ -6,16 +6,30 @@ import store from './app/store'
 import { Provider } from 'react-redux'
 
 import { worker } from './api/server'
-import { fetchUsers } from './features/users/usersSlice'
+import { refetchRestoredQueries } from './app/persistence'
+import { usersApi } from './features/users/usersSlice'
+import { socketConnectionRequested } from './features/notifications/notificationsSlice'
+import { watchConnection } from './features/offline/offlineListeners'
 
 // Wrap app rendering so we can wait for the mock API to initialize
 async function start() {
   // Start our mock API server
   await worker.start({ onUnhandledRequest: 'bypass' })
 
-  /* We only need to fetch the list of users once, and we want to do it right 
-    when the application starts. */
-  store.dispatch(fetchUsers())
+  /* We only need to fetch the list of users once, and we want to do it right
+    when the application starts. Dispatching the endpoint's `initiate` thunk
+    starts the query and keeps it subscribed, so the users stay cached. */
+  store.dispatch(usersApi.endpoints.getUsers.initiate())
+
+  // Anything restored from the last visit is shown until it's refreshed
+  refetchRestoredQueries(store)
+
+  // The navbar loads the notifications the server has saved for us. Listen for
+  // new ones the server pushes.
+  store.dispatch(socketConnectionRequested())
+
+  // Track whether we're online, and send anything left in the outbox
+  watchConnection(store.dispatch)
 
   ReactDOM.render(
     <React.StrictMode>